@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+const AlertList = ({ alerts, onAcknowledge, onAcknowledgeAll, onClear }) => {
+  const [collapsed, setCollapsed] = useState(false);
+
+  if (alerts.length === 0) return null;
+  const unacknowledged = alerts.filter(alert => !alert.acknowledged).length;
+
+  return (
+    <div className={`alert-list ${unacknowledged > 0 ? 'has-unacknowledged' : ''}`}>
+      <div className="alert-list-header">
+        <button type="button" className="alert-list-toggle" onClick={() => setCollapsed(c => !c)}>
+          Alerts ({unacknowledged}/{alerts.length}) {collapsed ? '▾' : '▴'}
+        </button>
+        {!collapsed && (
+          <div className="alert-list-actions">
+            <button type="button" onClick={onAcknowledgeAll} disabled={unacknowledged === 0}>
+              Acknowledge all
+            </button>
+            <button type="button" onClick={onClear}>
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+      {!collapsed && (
+        <ul className="alert-list-items">
+          {alerts.slice().reverse().map(alert => (
+            <li key={alert.id} className={alert.acknowledged ? 'acknowledged' : ''}>
+              <span className="alert-time">{formatTime(alert.time)}</span>
+              <span className="alert-message">{alert.message}</span>
+              {!alert.acknowledged && (
+                <button type="button" className="alert-ack" onClick={() => onAcknowledge(alert.id)} title="Acknowledge">
+                  ✓
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AlertList;
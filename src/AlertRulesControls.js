@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { RuleTypes, createRule } from './alerts';
+
+const notificationPermission = () => ('Notification' in window ? window.Notification.permission : 'unsupported');
+
+const AlertRulesControls = ({ rules, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(rules);
+  const [newType, setNewType] = useState(Object.keys(RuleTypes)[0]);
+  const [permission, setPermission] = useState(notificationPermission);
+
+  // Keep the draft in sync if the rules change from outside
+  useEffect(() => {
+    setDraft(rules);
+  }, [rules]);
+
+  const updateRule = (id, fields) => {
+    setDraft(prev => prev.map(rule => (rule.id === id ? { ...rule, ...fields } : rule)));
+  };
+
+  const isValid = draft.every(rule => Object.values(rule.params).every(value => Number(value) >= 0 && value !== ''));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply(draft.map(rule => ({
+      ...rule,
+      params: Object.fromEntries(Object.entries(rule.params).map(([name, value]) => [name, Number(value)]))
+    })));
+    setOpen(false);
+  };
+
+  const requestPermission = async () => {
+    try {
+      setPermission(await window.Notification.requestPermission());
+    } catch (error) {
+      console.error('Failed to request notification permission:', error);
+    }
+  };
+
+  const enabledCount = rules.filter(rule => rule.enabled).length;
+
+  return (
+    <div className="alert-rules-controls">
+      <button type="button" className="alert-rules-toggle" onClick={() => setOpen(o => !o)}>
+        Alert rules ({enabledCount}) {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <form className="alert-rules-panel" onSubmit={handleSubmit}>
+          {draft.length === 0 && <div className="alert-rules-empty">No rules</div>}
+          {draft.map(rule => (
+            <div key={rule.id} className="alert-rule">
+              <label>
+                <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} />
+                {RuleTypes[rule.type].label}
+              </label>
+              {RuleTypes[rule.type].params.map(([name, text, unit]) => (
+                <label key={name}>
+                  {text}
+                  <input
+                    type="number"
+                    min={0}
+                    value={rule.params[name]}
+                    onChange={(e) => updateRule(rule.id, { params: { ...rule.params, [name]: e.target.value } })}
+                  />
+                  {unit}
+                </label>
+              ))}
+              <label title="Browser notification">
+                <input type="checkbox" checked={rule.notify} onChange={(e) => updateRule(rule.id, { notify: e.target.checked })} />
+                Notify
+              </label>
+              <label>
+                <input type="checkbox" checked={rule.sound} onChange={(e) => updateRule(rule.id, { sound: e.target.checked })} />
+                Sound
+              </label>
+              <button type="button" className="alert-rule-remove" onClick={() => setDraft(prev => prev.filter(r => r.id !== rule.id))}>
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className="alert-rules-actions">
+            <select value={newType} onChange={(e) => setNewType(e.target.value)}>
+              {Object.entries(RuleTypes).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <button type="button" onClick={() => setDraft(prev => [...prev, createRule(newType)])}>
+              Add rule
+            </button>
+            {permission === 'default' && (
+              <button type="button" onClick={requestPermission}>
+                Allow notifications
+              </button>
+            )}
+            {permission === 'denied' && <span className="alert-rules-note">Notifications blocked by the browser</span>}
+            <button type="submit" disabled={!isValid}>
+              Apply
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AlertRulesControls;
@@ -1,11 +1,14 @@
-import React from 'react';
+import React, { useState } from 'react';
 import ChainVisualizer from './ChainVisualizer';
+import { loadTheme, themeStyle } from './themes';
 import './App.css';
 
 function App() {
+  const [theme, setTheme] = useState(loadTheme);
+
   return (
-    <div className="App">
-      <ChainVisualizer />
+    <div className="App" style={themeStyle(theme)}>
+      <ChainVisualizer onThemeChange={setTheme} />
     </div>
   );
 }
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { MaxBackfillBlocks } from './backfill';
+
+const BackfillControls = ({ zones, progress, onStart, onCancel }) => {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('last');
+  const [value, setValue] = useState('100');
+  const [zone, setZone] = useState('all');
+
+  const running = progress && !progress.finished;
+  const parsedValue = parseInt(value, 10);
+  const isValid = Number.isInteger(parsedValue) && parsedValue >= (mode === 'last' ? 1 : 0) &&
+    (mode !== 'last' || parsedValue <= MaxBackfillBlocks);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onStart({
+      mode,
+      value: parsedValue,
+      zones: zone === 'all' ? zones.map(z => z.zone) : [zone]
+    });
+    setOpen(false);
+  };
+
+  const percent = progress && progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  // Shown while running and after, since both change what ends up loaded
+  const notes = progress && (
+    <>
+      {progress.capped && <span className="backfill-note">Capped to the last {MaxBackfillBlocks} blocks per zone</span>}
+      {progress.beyondRetention && (
+        <span className="backfill-note" title="Changing the retention settings lets these be pruned again">
+          Kept past the {progress.beyondRetention}-block retention window
+        </span>
+      )}
+    </>
+  );
+
+  return (
+    <div className="backfill-controls">
+      {running ? (
+        <div className="backfill-progress">
+          <span>Backfill {progress.done}/{progress.total}</span>
+          <div className="backfill-bar">
+            <div className="backfill-bar-fill" style={{ width: `${percent}%` }} />
+          </div>
+          {progress.failed > 0 && <span className="backfill-failed">{progress.failed} failed</span>}
+          {notes}
+          <button type="button" onClick={onCancel}>Cancel</button>
+        </div>
+      ) : (
+        <button type="button" className="backfill-toggle" onClick={() => setOpen(o => !o)} disabled={zones.length === 0}>
+          Backfill {open ? '▴' : '▾'}
+        </button>
+      )}
+      {progress && progress.finished && (
+        <span className="backfill-summary">
+          {progress.cancelled ? 'Cancelled' : 'Done'} {progress.done}/{progress.total}
+          {progress.failed > 0 && `, ${progress.failed} failed`}
+        </span>
+      )}
+      {progress && progress.finished && notes}
+      {open && !running && (
+        <form className="backfill-panel" onSubmit={handleSubmit}>
+          <label>
+            <select value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="last">Last N blocks</option>
+              <option value="from">From height</option>
+            </select>
+            <input
+              type="number"
+              min={mode === 'last' ? 1 : 0}
+              max={mode === 'last' ? MaxBackfillBlocks : undefined}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+            />
+          </label>
+          <label>
+            Zone
+            <select value={zone} onChange={(e) => setZone(e.target.value)}>
+              <option value="all">All zones</option>
+              {zones.map(z => (
+                <option key={z.zone} value={z.zone}>{z.label}</option>
+              ))}
+            </select>
+          </label>
+          <button type="submit" disabled={!isValid}>
+            Start
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BackfillControls;
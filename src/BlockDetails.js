@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import {
+  isHash,
+  isQuantity,
+  hexToDecimalString,
+  blockTimestamp,
+  blockMiner,
+  blockDifficulty,
+  blockGasUsed,
+  blockGasLimit,
+  blockNumbers,
+  blockTransactions,
+  orderName
+} from './blockFields';
+
+const LevelNames = ['Prime', 'Region', 'Zone'];
+
+// Render a raw field value: hashes become links, hex quantities get their decimal value
+const FieldValue = ({ value, onHashClick }) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return <span className="detail-muted">[]</span>;
+    return (
+      <ol className="detail-array" start={0}>
+        {value.map((v, i) => (
+          <li key={i}><FieldValue value={v} onHashClick={onHashClick} /></li>
+        ))}
+      </ol>
+    );
+  }
+  if (value !== null && typeof value === 'object') {
+    return <FieldTable fields={value} onHashClick={onHashClick} />;
+  }
+  if (isHash(value)) {
+    return <HashLink hash={value} onHashClick={onHashClick} />;
+  }
+  if (isQuantity(value)) {
+    return <span title={value}>{hexToDecimalString(value)}</span>;
+  }
+  return <span>{String(value)}</span>;
+};
+
+const FieldTable = ({ fields, onHashClick }) => (
+  <table className="detail-table">
+    <tbody>
+      {Object.entries(fields).map(([name, value]) => (
+        <tr key={name}>
+          <th>{name}</th>
+          <td><FieldValue value={value} onHashClick={onHashClick} /></td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const HashLink = ({ hash, onHashClick }) => (
+  <button type="button" className="hash-link" title={hash} onClick={() => onHashClick(hash)}>
+    {hash.slice(0, 10)}…{hash.slice(-8)}
+  </button>
+);
+
+const Row = ({ label, children }) => (
+  <tr>
+    <th>{label}</th>
+    <td>{children}</td>
+  </tr>
+);
+
+const BlockDetails = ({ selection, fetchBlock, onHashClick, pinned, onTogglePin, onClose }) => {
+  const [block, setBlock] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setBlock(null);
+    setError(null);
+    setLoading(true);
+
+    fetchBlock(selection.hash, selection.zone, controller.signal)
+      .then(result => {
+        if (!result) throw new Error('Block not found');
+        setBlock(result);
+      })
+      .catch(err => {
+        if (!err.aborted) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [selection.hash, selection.zone, fetchBlock]);
+
+  const timestamp = blockTimestamp(block);
+  const numbers = blockNumbers(block);
+  const gasUsed = blockGasUsed(block);
+  const gasLimit = blockGasLimit(block);
+  const difficulty = blockDifficulty(block);
+  const parentHashes = block && block.header && Array.isArray(block.header.parentHash) ? block.header.parentHash : [];
+  const manifestHashes = block && block.header && Array.isArray(block.header.manifestHash) ? block.header.manifestHash : [];
+  const entropyFields = block && block.header
+    ? Object.entries(block.header).filter(([name]) => /entropy/i.test(name))
+    : [];
+  const uncles = (block && block.uncles) || [];
+  const workshares = (block && block.workshares) || [];
+
+  return (
+    <aside className="block-details">
+      <div className="block-details-header">
+        <span>Block details</span>
+        <div>
+          <button
+            type="button"
+            className={`block-details-pin ${pinned ? 'active' : ''}`}
+            onClick={onTogglePin}
+            title={pinned ? 'Allow this block to be pruned' : 'Keep this block when pruning'}
+          >
+            {pinned ? 'Unpin' : 'Pin'}
+          </button>
+          <button type="button" className="block-details-close" onClick={onClose} title="Close">×</button>
+        </div>
+      </div>
+
+      <div className="block-details-hash">
+        <code>{selection.hash}</code>
+      </div>
+
+      {loading && <div className="detail-muted">Loading…</div>}
+      {error && <div className="detail-error">Failed to load block: {error}</div>}
+
+      {block && (
+        <>
+          <section>
+            <h4>Summary</h4>
+            <table className="detail-table">
+              <tbody>
+                <Row label="Order">{orderName(block.order)}</Row>
+                <Row label="Number">
+                  {numbers ? numbers.map((n, i) => `${LevelNames[i] || i}: ${n}`).join(' · ') : hexToDecimalString(block.woHeader.number)}
+                </Row>
+                <Row label="Timestamp">
+                  {timestamp !== null ? `${new Date(timestamp * 1000).toLocaleString()} (${timestamp})` : 'N/A'}
+                </Row>
+                <Row label="Miner">{blockMiner(block) || 'N/A'}</Row>
+                <Row label="Difficulty">{difficulty ? hexToDecimalString(difficulty) : 'N/A'}</Row>
+                <Row label="Gas used / limit">
+                  {gasUsed !== null && gasLimit !== null
+                    ? `${gasUsed} / ${gasLimit} (${gasLimit > 0 ? ((gasUsed / gasLimit) * 100).toFixed(1) : 0}%)`
+                    : 'N/A'}
+                </Row>
+                <Row label="Transactions">{blockTransactions(block).length}</Row>
+                <Row label="Zone parent">
+                  <FieldValue value={block.woHeader.parentHash} onHashClick={onHashClick} />
+                </Row>
+              </tbody>
+            </table>
+          </section>
+
+          {parentHashes.length > 0 && (
+            <section>
+              <h4>Parent hashes</h4>
+              <table className="detail-table">
+                <tbody>
+                  {parentHashes.map((hash, i) => (
+                    <Row key={i} label={LevelNames[i] || i}>
+                      <FieldValue value={hash} onHashClick={onHashClick} />
+                    </Row>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
+          {entropyFields.length > 0 && (
+            <section>
+              <h4>Entropy</h4>
+              <FieldTable fields={Object.fromEntries(entropyFields)} onHashClick={onHashClick} />
+            </section>
+          )}
+
+          {manifestHashes.length > 0 && (
+            <section>
+              <h4>Manifest hashes</h4>
+              <FieldValue value={manifestHashes} onHashClick={onHashClick} />
+            </section>
+          )}
+
+          <section>
+            <h4>Uncles ({uncles.length})</h4>
+            <FieldValue value={uncles.map(u => (typeof u === 'string' ? u : u.hash))} onHashClick={onHashClick} />
+          </section>
+
+          <section>
+            <h4>Workshares ({workshares.length})</h4>
+            <FieldValue value={workshares.map(w => (typeof w === 'string' ? w : w.hash))} onHashClick={onHashClick} />
+          </section>
+
+          <details>
+            <summary>Work object header</summary>
+            <FieldTable fields={block.woHeader} onHashClick={onHashClick} />
+          </details>
+          {block.header && (
+            <details>
+              <summary>Header</summary>
+              <FieldTable fields={block.header} onHashClick={onHashClick} />
+            </details>
+          )}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default BlockDetails;
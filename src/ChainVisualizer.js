@@ -1,455 +1,1017 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo, useImperativeHandle, useId } from 'react';
 import * as d3 from 'd3';
+import ConnectionSettings from './ConnectionSettings';
+import { loadConnectionSettings, saveConnectionSettings } from './connectionConfig';
+import { acquireRpcClient, releaseRpcClient } from './rpcClient';
+import { compareHeads } from './reorgs';
+import { ChainTypes } from './itemStore';
+import { laneKey } from './layout';
+import { createChainEngine, ZeroHash } from './chainEngine';
+import ReorgLog from './ReorgLog';
+import WorkshareAnalytics from './WorkshareAnalytics';
+import BackfillControls from './BackfillControls';
+import { backfillRange, backfillBounds, fetchTipHeight } from './backfill';
+import BlockDetails from './BlockDetails';
+import RetentionControls from './RetentionControls';
+import { loadRetention, saveRetention, pruneItems } from './retention';
+import RenderingControls from './RenderingControls';
+import { loadRendering, saveRendering, shouldUseCanvas } from './rendering';
+import { renderSvgScene, clearSvgScene } from './svgRenderer';
+import { createCanvasRenderer } from './canvasRenderer';
+import { createMinimap } from './minimap';
+import SessionControls from './SessionControls';
+import { createSessionRecorder, createReplayer, parseSessionLog } from './sessionLog';
+import DemoControls from './DemoControls';
+import { createDemoChain, DefaultDemoRates } from './demoChain';
+import ExportControls from './ExportControls';
+import SearchBox from './SearchBox';
+import { parseSearchQuery, findMatches } from './search';
+import HealthStrip from './HealthStrip';
+import { loadHealthSettings, saveHealthSettings, computeHealthMetrics, MaxPropagationSamples } from './healthMetrics';
+import { blockTimestamp } from './blockFields';
+import EncodingControls from './EncodingControls';
+import { loadEncoding, saveEncoding, applyEncoding, metricValue, EncodingMetrics } from './encoding';
+import TxOverlayControls from './TxOverlayControls';
+import ThemeControls from './ThemeControls';
+import FilterControls from './FilterControls';
+import { readFilters, writeFilters, filtersActive, selectVisible, matchesLegendEntry } from './viewFilters';
+import { Themes, loadTheme, saveTheme, themeStyle } from './themes';
+import { buildEtxLinks } from './txOverlay';
+import { navigate, initialFocus, describeItem, itemElementId, NavigationKeys, KeyboardHelp } from './graphNavigation';
+import AlertRulesControls from './AlertRulesControls';
+import AlertList from './AlertList';
+import {
+  loadAlertRules, saveAlertRules, createAlertTracker, checkTimedRules, checkUncleRules, checkReorg,
+  showNotification, playAlertSound, MaxAlerts
+} from './alerts';
+import { buildSvgExport, svgToPng, graphSnapshot, graphToJson, graphToDot, downloadFile, exportTimestamp } from './exporters';
 import './ChainVisualizer.css';
 
-const MaxBlocksToFetch = 10;
-const MissingParents = new Map();
+const DefaultMaxBlocksToFetch = 10;
+const MaxReorgLogEntries = 200;
+const MaxSearchAncestry = 200;
 
-const ChainVisualizer = () => {
+// Blocks arrive through a newHeads subscription; a zone falls back to HTTP polling
+// when no head has been seen for HeadGapTimeout ms
+const HeadGapTimeout = 15000;
+const DefaultPollInterval = 1000;
+
+const AlertCheckInterval = 2000;
+const MaxFetchFailures = 1000;
+
+const DefaultSizes = {
+  zone: 50,              // Normal zone block size
+  region: 75,            // Region block 50% larger
+  prime: 100             // Prime block double size
+};
+
+const DefaultSpacing = 120;
+
+// Tooltip for an item, placed above it in screen coordinates so it isn't scaled by the zoom
+const showTooltip = (svg, d, colors) => {
+  const tooltip = svg.append('g')
+    .attr('class', 'tooltip');
+
+  const tooltipRect = tooltip.append('rect')
+    .attr('fill', colors.tooltip)
+    .attr('stroke', colors.stroke)
+    .attr('rx', 5);
+
+  const text = tooltip.append('text')
+    .attr('fill', colors.text)
+    .attr('font-family', 'monospace')
+    .attr('font-size', '12px')
+    .attr('x', 10)
+    .attr('y', 20);
+
+  text.append('tspan').text(`Hash: ${d.fullHash}`);
+  text.append('tspan').attr('x', 10).attr('dy', 15).text(`Parent: ${d.fullParentHash || 'None'}`);
+  text.append('tspan').attr('x', 10).attr('dy', 15).text(`Number: ${d.number || 'N/A'}`);
+  text.append('tspan').attr('x', 10).attr('dy', 15).text(`Type: ${d.type}`);
+  if (ChainTypes.includes(d.type)) {
+    text.append('tspan').attr('x', 10).attr('dy', 15).text(`Status: ${d.orphaned ? 'orphaned' : 'canonical'}`);
+  }
+  Object.keys(EncodingMetrics).forEach(metric => {
+    const value = metric !== 'none' && ChainTypes.includes(d.type) ? metricValue(d, metric) : null;
+    if (value !== null) text.append('tspan').attr('x', 10).attr('dy', 15).text(`${EncodingMetrics[metric]}: ${value.toLocaleString()}`);
+  });
+  if (d.type === 'block' && d.txCount !== undefined) {
+    const gas = d.gasFill !== null ? `, gas ${(d.gasFill * 100).toFixed(0)}%` : '';
+    text.append('tspan').attr('x', 10).attr('dy', 15).text(`Txs: ${d.txCount}${gas}, ETXs out: ${d.outboundEtxs.length}, in: ${d.inboundEtxs.length}`);
+  }
+
+  const bbox = text.node().getBBox();
+  tooltipRect.attr('width', bbox.width + 20).attr('height', bbox.height + 20).attr('x', -10).attr('y', -20 + 10);
+
+  // Position tooltip above the block, centered
+  const transform = d3.zoomTransform(svg.node());
+  const [blockX, blockY] = transform.apply([d.displayX + d.size / 2, d.displayY]);
+  const tooltipX = blockX - (bbox.width + 20) / 2;
+  const tooltipY = blockY - (bbox.height + 20) - 10;
+  tooltip.attr('transform', `translate(${tooltipX}, ${tooltipY})`);
+};
+
+// Embeddable block graph. Every prop is optional:
+//   endpoints           [{ wsUrl, httpUrl }], one per zone, in place of the saved connection
+//                       settings; edits made in the UI are then not saved
+//   colors, sizes       overrides merged into the theme's colors and the default sizes
+//   spacing             horizontal gap between heights
+//   maxBlocksToFetch    how far behind a zone's tip missing parents are still fetched
+//   pollInterval        ms between polls of zones without a working head feed
+//   onBlockClick(item)  a block, uncle or workshare was clicked
+//   onNewTip({ zone, hash, number })  a zone's node reported a new head
+//   onReorg(reorg)      a chain's head moved off its previous branch
+//   onConnectionChange(zone, status)  a zone's connection status changed
+//   onThemeChange(theme)  a theme was picked in the UI, for styling the page around it
+// The ref exposes focusBlock(hash), reset() and exportSnapshot().
+const ChainVisualizer = ({
+  ref,
+  endpoints: endpointsProp,
+  colors,
+  sizes,
+  spacing = DefaultSpacing,
+  maxBlocksToFetch = DefaultMaxBlocksToFetch,
+  pollInterval = DefaultPollInterval,
+  onBlockClick,
+  onNewTip,
+  onReorg,
+  onConnectionChange,
+  onThemeChange
+}) => {
   const svgRef = useRef(null);
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+  const engineRef = useRef(null);
+  if (engineRef.current === null) engineRef.current = createChainEngine();
+  // Snapshot of the engine's items, republished after every change, for effects that walk every item
   const [items, setItems] = useState([]);
-  const [wsConnection, setWsConnection] = useState(null);
-  const [isConnected, setIsConnected] = useState(false);
-  const [connectionStatus, setConnectionStatus] = useState('Disconnected');
-  const [tipBlockHeight, setTipBlockHeight] = useState(0);
-  const maxHeightRef = useRef(0);
+  const [zoneStatuses, setZoneStatuses] = useState({});
+  const [zoneLocations, setZoneLocations] = useState({});
+  const [heads, setHeads] = useState({});
+  const [reorgs, setReorgs] = useState([]);
+  const settledHeadsRef = useRef(new Map());
+  const [tipHeights, setTipHeights] = useState({});
+  const tipHeightsRef = useRef({}); // the same, current outside of renders
+  const tipVersionRef = useRef(0);
   const fetchingParentsRef = useRef(new Set());
+  const missingParentsRef = useRef(new Map()); // parent hash -> hash of the child that needs it
   const zoomRef = useRef(null);
-  const prevMinHeightRef = useRef(null);
-  const prevMaxHeightRef = useRef(0);
-
-  // Configuration
-  const config = {
-    spacing: 120,
+  const prevTipVersionRef = useRef(0);
+  const clientsRef = useRef(new Map());
+  const fetchAbortRef = useRef(new AbortController());
+  const lastHeadRef = useRef(new Map()); // zone -> { at, number }
+  const [pollingZones, setPollingZones] = useState([]);
+  const [backfillProgress, setBackfillProgress] = useState(null);
+  const [backfilledFrom, setBackfilledFrom] = useState({}); // zone -> lowest backfilled height, kept by retention
+  const backfillAbortRef = useRef(null);
+  const [selectedBlock, setSelectedBlock] = useState(null);
+  const [focusedId, setFocusedId] = useState(null); // item the keyboard is on
+  const [announcement, setAnnouncement] = useState(''); // latest message for screen readers
+  const graphId = useId();
+  const positionedRef = useRef([]);
+  const sceneRef = useRef(null);
+  const renderedColorsRef = useRef(null); // colors the SVG elements were created with
+  const pendingFocusRef = useRef(null); // hash to center once it has been laid out
+  const minimapCanvasRef = useRef(null);
+  const minimapRef = useRef(null);
+  const [followTip, setFollowTip] = useState(true);
+  const [txOverlay, setTxOverlay] = useState({ enabled: false, address: '' });
+  const [encoding, setEncoding] = useState(loadEncoding);
+  const [theme, setTheme] = useState(loadTheme);
+  const [filters, setFilters] = useState(readFilters);
+  // Kept between renders so the engine updates its filtered layout instead of rebuilding it
+  const select = useMemo(() => (filtersActive(filters) ? selectVisible(filters) : null), [filters]);
+  const [legendEntry, setLegendEntry] = useState(null); // legend entry under the pointer
+  const followTipRef = useRef(true);
+  const [retention, setRetention] = useState(loadRetention);
+  const [pinned, setPinned] = useState(() => new Set());
+  const [pruneTick, setPruneTick] = useState(0);
+  const [endpoints, setEndpoints] = useState(() => (endpointsProp ? { endpoints: endpointsProp } : loadConnectionSettings()));
+  const [rendering, setRendering] = useState(loadRendering);
+  const [usingCanvas, setUsingCanvas] = useState(false);
+  const recorderRef = useRef(null);
+  if (recorderRef.current === null) recorderRef.current = createSessionRecorder();
+  const [recording, setRecording] = useState(false);
+  const [recordedCount, setRecordedCount] = useState(0);
+  const replayerRef = useRef(null);
+  const [replay, setReplay] = useState(null);
+  const [replayError, setReplayError] = useState(null);
+  const replaying = replay !== null;
+  // Without any configured node, start with the synthetic demo chain
+  const [demoRunning, setDemoRunning] = useState(() => endpoints.endpoints.every(endpoint => !endpoint.wsUrl));
+  const [demoRates, setDemoRates] = useState(DefaultDemoRates);
+  const demoChainRef = useRef(null);
+  const [healthSettings, setHealthSettings] = useState(loadHealthSettings);
+  const [propagation, setPropagation] = useState([]); // { hash, receivedAt, headerTime } of head blocks
+  const [alertRules, setAlertRules] = useState(loadAlertRules);
+  const [alerts, setAlerts] = useState([]);
+  const alertTrackerRef = useRef(null);
+  if (alertTrackerRef.current === null) alertTrackerRef.current = createAlertTracker();
+  const nextAlertIdRef = useRef(1);
+  const lastTipAtRef = useRef(new Map()); // zone -> { height, at } of its last tip advance
+  const disconnectedSinceRef = useRef(new Map()); // zone -> time its node stopped being connected
+  const fetchFailuresRef = useRef([]); // times of failed parent fetches
+  const offline = replaying || demoRunning;
+
+  // Latest host callbacks, so handing in new functions doesn't resubscribe anything
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onBlockClick, onNewTip, onReorg, onConnectionChange, onThemeChange };
+
+  // One zone per configured endpoint, keyed by its position in the list
+  const zones = endpoints.endpoints
+    .map((endpoint, index) => ({ zone: String(index), ...endpoint }))
+    .filter(endpoint => endpoint.wsUrl);
+
+  const connectedZones = zones.filter(z => zoneStatuses[z.zone] === 'Connected').map(z => z.zone);
+  const isConnected = connectedZones.length > 0;
+  let connectionStatus;
+  if (zones.length === 0) {
+    connectionStatus = 'Not configured';
+  } else if (zones.length === 1) {
+    connectionStatus = zoneStatuses[zones[0].zone] || 'Disconnected';
+  } else {
+    connectionStatus = `Connected ${connectedZones.length}/${zones.length}`;
+  }
+
+  // Configuration, rebuilt only when one of its inputs changes since effects depend on it.
+  // Overrides are compared by value, since hosts often pass new objects on every render.
+  const colorsKey = colors ? JSON.stringify(colors) : null;
+  const sizesKey = sizes ? JSON.stringify(sizes) : null;
+  const config = useMemo(() => ({
+    spacing,
     arrowLength: 30,
-    colors: {
-      block: '#4CAF50',      // Green for zone blocks
-      primeBlock: '#F44336', // Red for prime blocks
-      regionBlock: '#FFEB3B', // Yellow for region blocks
-      uncle: '#FF9800',      // Orange for uncles  
-      workshare: '#2196F3',  // Blue for workshares
-      arrow: '#888',         // Gray for arrows
-      coincident: '#666',    // Gray for coincident lines
-      text: '#fff'           // White for text
-    },
-    sizes: {
-      zone: 50,              // Normal zone block size
-      region: 75,            // Region block 50% larger
-      prime: 100             // Prime block double size
-    }
-  };
+    colors: { ...Themes[theme].colors, ...(colorsKey && JSON.parse(colorsKey)) },
+    sizes: { ...DefaultSizes, ...(sizesKey && JSON.parse(sizesKey)) },
+    sizeBy: encoding.sizeBy  // 'workshares' or 'weight'
+  }), [theme, colorsKey, sizesKey, spacing, encoding.sizeBy]);
 
-  // Add new item (block, uncle, or workshare)
-  const addItem = useCallback((type, hash, parentHash, number = null, order = null, headerParentHashes = null, includingHash = null) => {
-    const shortHash = hash.slice(0, 8);
-    
-    setItems(prevItems => {
-      if (type !== 'block') {
-        let decimalNumber = null;
-        if (number) {
-          decimalNumber = parseInt(number, 16);
-        }
-        
-        const existingIndex = prevItems.findIndex(item => item.fullHash === hash && item.type === type);
-        if (existingIndex !== -1) {
-          if (includingHash) {
-            // Update existing with includedIn
-            const updatedItem = { ...prevItems[existingIndex], includedIn: includingHash };
-            const newItems = [...prevItems];
-            newItems[existingIndex] = updatedItem;
-            console.log(`Updated ${type}: ${shortHash} with includedIn ${includingHash}`);
-            return newItems;
-          } else {
-            console.log(`Duplicate ${type} detected, skipping: ${shortHash}`);
-            return prevItems;
-          }
-        }
-        
-        const newItem = {
-          id: `${type}-${shortHash}-${Date.now()}`,
-          type: type,
-          hash: shortHash,
-          fullHash: hash,
-          parentHash: parentHash ? parentHash.slice(0, 8) : null,
-          fullParentHash: parentHash,
-          number: decimalNumber,
-          order: order,
-          timestamp: Date.now(),
-          includedIn: includingHash || null
-        };
-
-        console.log(`Added ${type}: ${shortHash} -> ${newItem.fullParentHash} (${decimalNumber}) includedIn: ${newItem.includedIn}`);
-        
-        if (decimalNumber !== null && decimalNumber > maxHeightRef.current) {
-          maxHeightRef.current = decimalNumber;
-        }
-        
-        return [...prevItems, newItem].sort((a, b) => (a.number || 0) - (b.number || 0));
-      } else {
-        // For 'block' type, create multiple representations based on order
-        let decimalNumber = parseInt(number, 16);
-        const orderNum = parseInt(order, 16);
-        const newItems = [];
-
-        const addRepresentation = (blockType, parent) => {
-          const existing = prevItems.find(item => item.fullHash === hash && item.type === blockType);
-          if (existing) return;
-
-          const item = {
-            id: `${blockType}-${shortHash}-${Date.now()}`,
-            type: blockType,
-            hash: shortHash,
-            fullHash: hash,
-            parentHash: parent ? parent.slice(0, 8) : null,
-            fullParentHash: parent,
-            number: decimalNumber,
-            order: order,
-            timestamp: Date.now()
-          };
-
-          console.log(`Added ${blockType}: ${shortHash} -> ${item.fullParentHash} (${decimalNumber})`);
-          newItems.push(item);
-        };
-
-        if (orderNum === 0) {
-          // Prime: add prime, region, zone
-          addRepresentation('primeBlock', headerParentHashes[0]);
-          addRepresentation('regionBlock', headerParentHashes[1]);
-          addRepresentation('block', parentHash);
-        } else if (orderNum === 1) {
-          // Region: add region, zone
-          addRepresentation('regionBlock', headerParentHashes[1] || headerParentHashes[0]);
-          addRepresentation('block', parentHash);
-        } else {
-          // Zone: add zone
-          addRepresentation('block', parentHash);
-        }
-
-        if (newItems.length === 0) return prevItems;
+  const setZoneStatus = useCallback((zone, status) => {
+    setZoneStatuses(prev => (prev[zone] === status ? prev : { ...prev, [zone]: status }));
+  }, []);
 
-        if (decimalNumber > maxHeightRef.current) {
-          maxHeightRef.current = decimalNumber;
-        }
+  // Zone naming, from the node's reported location when known
+  const zoneLabel = useCallback((zone) => {
+    const location = zoneLocations[zone];
+    return location ? `Zone ${location[0]}-${location[1]}` : `Zone ${Number(zone) + 1}`;
+  }, [zoneLocations]);
+
+  // Loaded zone at a [region, zone] location, if any
+  const zoneOfLocation = useCallback((location) => {
+    const match = Object.entries(zoneLocations).find(([, loc]) => loc[0] === location[0] && loc[1] === location[1]);
+    return match ? match[0] : null;
+  }, [zoneLocations]);
+
+  const chainLabel = useCallback((key) => {
+    const [type, id] = key.split(':');
+    if (type === 'primeBlock') return 'Prime';
+    if (type === 'regionBlock') return id.startsWith('z') ? `Region of ${zoneLabel(id.slice(1))}` : `Region ${id}`;
+    return zoneLabel(id);
+  }, [zoneLabel]);
+
+  // Keep an incoming payload in the session recording, if one is running
+  const capture = useCallback((kind, zone, payload, source = null) => {
+    const recorder = recorderRef.current;
+    if (recorder.record(kind, zone, payload, source)) {
+      setRecordedCount(recorder.size());
+    } else if (recorder.isFull()) {
+      // The recorder stopped itself at its size limit
+      setRecording(false);
+    }
+  }, []);
 
-        return [...prevItems, ...newItems].sort((a, b) => (a.number || 0) - (b.number || 0));
-      }
+  // Show fired alert conditions, notifying and beeping as their rules ask
+  const raiseAlerts = useCallback((conditions) => {
+    if (conditions.length === 0) return;
+    const now = Date.now();
+    const raised = conditions.map(({ rule, message }) => {
+      console.warn(`Alert: ${message}`);
+      if (rule.notify) showNotification(message);
+      return { id: nextAlertIdRef.current++, time: now, ruleId: rule.id, message, acknowledged: false };
     });
+    if (conditions.some(({ rule }) => rule.sound)) playAlertSound();
+    setAlerts(prev => [...prev, ...raised].slice(-MaxAlerts));
   }, []);
 
-  // Fetch block by hash from the blockchain node
-  const fetchBlockByHash = useCallback((hash) => {
-    return new Promise((resolve, reject) => {
-      if (!wsConnection || !isConnected) {
-        reject(new Error('WebSocket not connected'));
-        return;
-      }
-
-      const requestId = Date.now() + Math.random();
-      
-      const handleMessage = async (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          if (data.id === requestId) {
-            wsConnection.removeEventListener('message', handleMessage);
-            if (data.error) {
-              reject(new Error(data.error.message || 'Failed to fetch block'));
-            } else {
-              resolve(data.result);
-            }
-          }
-        } catch (error) {
-          reject(error);
-        }
-      };
-
-      wsConnection.addEventListener('message', handleMessage);
-
-      wsConnection.send(JSON.stringify({
-        jsonrpc: '2.0',
-        id: requestId,
-        method: 'quai_getBlockByHash',
-        params: [hash, true]
-      }));
+  // Add a block together with the uncles and workshares it includes, republish the
+  // items and track the tip per zone so the view can follow whichever zone advanced
+  const ingestBlock = useCallback((block, zone) => {
+    const result = engineRef.current.ingestBlock(block, zone);
+    if (!result) return;
+    if (result.changed) setItems(engineRef.current.items());
+    if (result.location) {
+      setZoneLocations(prev => (prev[zone] ? prev : { ...prev, [zone]: result.location }));
+    }
+    const tip = tipHeightsRef.current[zone];
+    if (tip === undefined || result.number > tip) {
+      tipHeightsRef.current = { ...tipHeightsRef.current, [zone]: result.number };
+      tipVersionRef.current += 1;
+      setTipHeights(tipHeightsRef.current);
+    }
+  }, []);
 
-      setTimeout(() => {
-        wsConnection.removeEventListener('message', handleMessage);
-        reject(new Error('Request timeout'));
-      }, 10000);
+  // Fetch block by hash from the zone's node
+  const fetchBlockByHash = useCallback((hash, zone) => {
+    const client = clientsRef.current.get(zone);
+    if (!client) {
+      return Promise.reject(new Error(`No connection for zone ${zone}`));
+    }
+    return client.request('quai_getBlockByHash', [hash, true], {
+      retries: 2,
+      signal: fetchAbortRef.current.signal
     });
-  }, [wsConnection, isConnected]);
+  }, []);
 
-  // Fetch and add missing parent block
-  const fetchMissingParent = useCallback(async (parentHash) => {
+  // Fetch and add missing parent block from the zone the child was seen in
+  const fetchMissingParent = useCallback(async (parentHash, zone) => {
     if (fetchingParentsRef.current.has(parentHash)) {
       return;
     }
 
-    const existingParent = items.find(item => item.fullHash === parentHash);
-    if (existingParent) {
+    // Nothing to fetch from while replaying a session
+    if (engineRef.current.hasHash(parentHash) || !clientsRef.current.has(zone)) {
       return;
     }
 
     try {
       fetchingParentsRef.current.add(parentHash);
-      console.log(`Fetching parent ${parentHash}`);
-      
-      const blockData = await fetchBlockByHash(parentHash);
+      console.log(`Fetching parent ${parentHash} from zone ${zone}`);
+
+      const blockData = await fetchBlockByHash(parentHash, zone);
       if (blockData && blockData.woHeader) {
-        const hash = blockData.hash;
-        const zoneParent = blockData.woHeader.parentHash;
-        const number = blockData.woHeader.number;
-        const order = blockData.order;
-        const headerParentHashes = blockData.header ? blockData.header.parentHash : [];
-        addItem('block', hash, zoneParent, number, order, headerParentHashes);
+        capture('block', zone, blockData, 'parent');
+        ingestBlock(blockData, zone);
       }
     } catch (error) {
-      console.error(`Failed to fetch parent ${parentHash}:`, error);
+      if (!error.aborted) {
+        console.error(`Failed to fetch parent ${parentHash}:`, error);
+        fetchFailuresRef.current = [...fetchFailuresRef.current.slice(-(MaxFetchFailures - 1)), Date.now()];
+      }
     } finally {
       fetchingParentsRef.current.delete(parentHash);
     }
-  }, [fetchBlockByHash, addItem, items]);
+  }, [fetchBlockByHash, ingestBlock, capture]);
+
+  // Add a workshare from a newWorkshares notification
+  const ingestWorkshare = useCallback((result, zone) => {
+    if (engineRef.current.ingestWorkshare(result, zone)) {
+      console.log(`Found workshare in zone ${zone}:`, result.hash, 'parent:', result.parentHash, 'number:', result.number);
+      setItems(engineRef.current.items());
+    }
+  }, []);
+
+  // Record the block a zone's node reports as its head, for every chain it heads
+  const recordHead = useCallback((block, zone) => {
+    if (!block || !block.hash || !block.woHeader) return;
+    const updates = engineRef.current.headKeys(block, zone);
+
+    setHeads(prev => (Object.keys(updates).every(key => prev[key] === updates[key]) ? prev : { ...prev, ...updates }));
+  }, []);
+
+  // Note when a head block reached us, once per block, for the propagation metric
+  const notePropagation = useCallback((block, receivedAt) => {
+    const headerTime = blockTimestamp(block);
+    if (!block || !block.hash || headerTime === null) return;
+    setPropagation(prev => (prev.some(sample => sample.hash === block.hash)
+      ? prev
+      : [...prev.slice(-(MaxPropagationSamples - 1)), { hash: block.hash, receivedAt, headerTime }]));
+  }, []);
+
+  // Poll for latest block of one zone
+  const pollLatestBlock = useCallback(async (zone) => {
+    const client = clientsRef.current.get(zone);
+    if (!client) return;
 
-  // Poll for latest block
-  const pollLatestBlock = useCallback(async () => {
-    if (!wsConnection || !isConnected) return;
-    
     try {
-      const response = await fetch('', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: Date.now(),
-          method: 'quai_getBlockByNumber',
-          params: ['latest', true]
-        })
-      });
-      
-      const data = await response.json();
-      if (data.result && data.result.hash && data.result.woHeader) {
-        const hash = data.result.hash;
-        const zoneParent = data.result.woHeader.parentHash;
-        const number = data.result.woHeader.number;
-        const order = data.result.order;
-        const headerParentHashes = data.result.header ? data.result.header.parentHash : [];
-        
-        console.log('✅ Polled latest block:', hash, 'zone parent:', zoneParent, 'number:', number, 'order:', order, 'header parents:', headerParentHashes);
-        setTipBlockHeight(parseInt(number, 16));
-        addItem('block', hash, zoneParent, number, order, headerParentHashes);
-        
-        if (data.result.uncles && data.result.uncles.length > 0) {
-          console.log('Found uncles:', data.result.uncles.length);
-          data.result.uncles.forEach((uncle, index) => {
-            console.log(`Uncle ${index}:`, uncle);
-            if (uncle.hash && uncle.parentHash) {
-              addItem('uncle', uncle.hash, uncle.parentHash, uncle.number, null, null, hash);
-            }
-          });
-        }
-        
-        if (data.result.workshares && data.result.workshares.length > 0) {
-          console.log('Found workshares in block:', data.result.workshares.length);
-          data.result.workshares.forEach((workshare, index) => {
-            console.log(`Workshare ${index}:`, workshare);
-            if (workshare.hash && workshare.parentHash) {
-              addItem('workshare', workshare.hash, workshare.parentHash, workshare.number, null, null, hash);
-            }
-          });
-        }
+      const block = await client.request('quai_getBlockByNumber', ['latest', true], { transport: 'http' });
+      capture('block', zone, block, 'poll');
+      if (block && block.hash) {
+        console.log(`✅ Polled latest block in zone ${zone}:`, block.hash, 'number:', block.woHeader && block.woHeader.number, 'order:', block.order);
       }
+      notePropagation(block, Date.now());
+      ingestBlock(block, zone);
+      recordHead(block, zone);
     } catch (error) {
-      console.error('Error polling latest block:', error);
+      console.error(`Error polling latest block in zone ${zone}:`, error);
+    }
+  }, [ingestBlock, recordHead, notePropagation, capture]);
+
+  // Handle a newHeads notification: note its arrival and fetch the full block
+  const handleNewHead = useCallback(async (head, zone) => {
+    const hash = head && (head.hash || (head.woHeader && head.woHeader.headerHash));
+    if (!hash) return;
+    capture('newHead', zone, head);
+
+    const numberHex = head.woHeader ? head.woHeader.number : head.number;
+    const number = numberHex ? parseInt(numberHex, 16) : null;
+    const last = lastHeadRef.current.get(zone);
+    if (last && last.number !== null && number !== null && number > last.number + 1) {
+      console.warn(`Head gap in zone ${zone}: ${last.number} -> ${number}`);
     }
-  }, [wsConnection, isConnected, addItem]);
+    const receivedAt = Date.now();
+    lastHeadRef.current.set(zone, { at: receivedAt, number });
+    setPollingZones(prev => (prev.includes(zone) ? prev.filter(z => z !== zone) : prev));
 
-  // WebSocket connection
-  useEffect(() => {
-    const connectWebSocket = () => {
-      try {
-        const ws = new WebSocket('');
-        
-        ws.onopen = () => {
-          console.log('WebSocket connected');
-          setIsConnected(true);
-          setConnectionStatus('Connected');
-          setWsConnection(ws);
-
-          pollLatestBlock();
-
-          ws.send(JSON.stringify({
-            jsonrpc: '2.0',
-            id: 2,
-            method: 'quai_subscribe',
-            params: ['newWorkshares']
-          }));
-        };
-
-        ws.onmessage = (event) => {
-          try {
-            const data = JSON.parse(event.data);            
-            if (data.method === 'quai_subscription') {
-              const result = data.params.result;
-              
-              if (result.hash && result.parentHash && result.number && result.type === 'workshare') {
-                console.log('Found workshare:', result.hash, 'parent:', result.parentHash, 'number:', result.number);
-                addItem('workshare', result.hash, result.parentHash, result.number);
-              }
-            }
-          } catch (error) {
-            console.error('Error parsing WebSocket message:', error);
-          }
-        };
+    try {
+      const block = await fetchBlockByHash(hash, zone);
+      capture('block', zone, block, 'head');
+      notePropagation(block, receivedAt);
+      ingestBlock(block, zone);
+      recordHead(block, zone);
+    } catch (error) {
+      if (!error.aborted) {
+        console.error(`Failed to fetch new head ${hash}:`, error);
+      }
+    }
+  }, [fetchBlockByHash, ingestBlock, recordHead, notePropagation, capture]);
 
-        ws.onclose = () => {
-          console.log('WebSocket disconnected');
-          setIsConnected(false);
-          setConnectionStatus('Disconnected');
-          setWsConnection(null);
-          setTimeout(connectWebSocket, 5000);
-        };
+  // Backfill a height range ("last N blocks" or "from height" up to the tip) for the given zones
+  const startBackfill = useCallback(async ({ mode, value, zones: backfillZones }) => {
+    if (backfillAbortRef.current) backfillAbortRef.current.abort();
+    const controller = new AbortController();
+    backfillAbortRef.current = controller;
 
-        ws.onerror = (error) => {
-          console.error('WebSocket error:', error);
-          setConnectionStatus('Error');
-        };
+    const totals = { done: 0, failed: 0, total: 0 };
+    // What the UI should say about the range: cut to MaxBackfillBlocks, or kept past the retention window
+    const notes = { capped: false, beyondRetention: null };
+    setBackfillProgress({ ...totals, ...notes, finished: false });
 
+    for (const zone of backfillZones) {
+      const client = clientsRef.current.get(zone);
+      if (!client || controller.signal.aborted) continue;
+
+      try {
+        const tip = await fetchTipHeight(client, controller.signal);
+        const bounds = backfillBounds({ mode, value, tip });
+        if (!bounds) continue;
+        const { from, capped } = bounds;
+        if (capped) notes.capped = true;
+        if (retention.mode === 'count' && tip - from + 1 > retention.maxBlocks) notes.beyondRetention = retention.maxBlocks;
+
+        console.log(`Backfilling zone ${zone} from ${from} to ${tip}`);
+        setBackfilledFrom(prev => (prev[zone] !== undefined && prev[zone] <= from ? prev : { ...prev, [zone]: from }));
+        const base = { ...totals };
+        totals.total += tip - from + 1;
+
+        const result = await backfillRange({
+          client,
+          from,
+          to: tip,
+          signal: controller.signal,
+          onBlock: (block) => {
+            capture('block', zone, block, 'backfill');
+            ingestBlock(block, zone);
+          },
+          onProgress: ({ done, failed }) => {
+            if (backfillAbortRef.current !== controller) return;
+            setBackfillProgress({ done: base.done + done, failed: base.failed + failed, total: totals.total, ...notes, finished: false });
+          }
+        });
+        totals.done += result.done;
+        totals.failed += result.failed;
       } catch (error) {
-        console.error('Failed to connect to WebSocket:', error);
-        setConnectionStatus('Error');
-        setTimeout(connectWebSocket, 5000);
+        if (!error.aborted) {
+          console.error(`Backfill failed for zone ${zone}:`, error);
+        }
       }
+    }
+
+    if (backfillAbortRef.current === controller) {
+      backfillAbortRef.current = null;
+      setBackfillProgress({ ...totals, ...notes, finished: true, cancelled: controller.signal.aborted });
+    }
+  }, [ingestBlock, capture, retention]);
+
+  const cancelBackfill = useCallback(() => {
+    if (backfillAbortRef.current) backfillAbortRef.current.abort();
+  }, []);
+
+  // Drop everything shown and every request in flight
+  const resetView = useCallback(() => {
+    fetchAbortRef.current.abort();
+    fetchAbortRef.current = new AbortController();
+    if (backfillAbortRef.current) {
+      backfillAbortRef.current.abort();
+      backfillAbortRef.current = null;
+    }
+    setBackfillProgress(null);
+    setBackfilledFrom({});
+    setSelectedBlock(null);
+    setPinned(new Set());
+    missingParentsRef.current.clear();
+    fetchingParentsRef.current.clear();
+    tipVersionRef.current = 0;
+    prevTipVersionRef.current = 0;
+    tipHeightsRef.current = {};
+    setTipHeights({});
+    setZoneLocations({});
+    setHeads({});
+    settledHeadsRef.current.clear();
+    setReorgs([]);
+    setPropagation([]);
+    alertTrackerRef.current.reset();
+    lastTipAtRef.current.clear();
+    fetchFailuresRef.current = [];
+    lastHeadRef.current.clear();
+    setPollingZones([]);
+    engineRef.current.clear();
+    setItems(engineRef.current.items());
+  }, []);
+
+  // Apply new endpoints: persist them and start over with a clean slate
+  // Going live ends any replay or demo
+  const applyEndpoints = useCallback((next) => {
+    if (!endpointsProp) saveConnectionSettings(next);
+    if (replayerRef.current) replayerRef.current.destroy();
+    replayerRef.current = null;
+    setReplay(null);
+    setDemoRunning(false);
+    resetView();
+    setEndpoints(next);
+  }, [resetView, endpointsProp]);
+
+  // Endpoints handed in by the host replace the current ones whenever they change
+  const endpointsKey = endpointsProp ? JSON.stringify(endpointsProp) : null;
+  const appliedEndpointsKeyRef = useRef(endpointsKey);
+  useEffect(() => {
+    if (endpointsKey === null || endpointsKey === appliedEndpointsKeyRef.current) return;
+    appliedEndpointsKeyRef.current = endpointsKey;
+    applyEndpoints({ endpoints: JSON.parse(endpointsKey) });
+  }, [endpointsKey, applyEndpoints]);
+
+  const startRecording = useCallback(() => {
+    recorderRef.current.start();
+    setRecordedCount(0);
+    setRecording(true);
+  }, []);
+
+  const stopRecording = useCallback(() => {
+    recorderRef.current.stop();
+    setRecording(false);
+  }, []);
+
+  const downloadRecording = useCallback(() => {
+    downloadFile(recorderRef.current.toNdjson(), 'application/x-ndjson', `chain-session-${exportTimestamp()}.ndjson`);
+  }, []);
+
+  // Feed a recorded or generated payload through the same path as live data
+  const ingestEntry = useCallback((entry) => {
+    const { kind, zone, source, payload } = entry;
+    if (kind === 'block') {
+      // Recorded entries carry their receipt time; generated ones arrive now
+      if (source === 'head' || source === 'poll') notePropagation(payload, entry.t ?? Date.now());
+      ingestBlock(payload, zone);
+      if (source === 'head' || source === 'poll') recordHead(payload, zone);
+    } else if (kind === 'workshare') {
+      ingestWorkshare(payload, zone);
+    }
+  }, [ingestBlock, recordHead, ingestWorkshare, notePropagation]);
+
+  // Replay a session log in place of the live connections
+  const loadReplay = useCallback(async (file) => {
+    setReplayError(null);
+    let log;
+    try {
+      log = parseSessionLog(await file.text());
+    } catch (error) {
+      console.error(`Failed to load session log ${file.name}:`, error);
+      setReplayError(error.message);
+      return;
+    }
+
+    if (replayerRef.current) replayerRef.current.destroy();
+    setDemoRunning(false);
+    resetView();
+    console.log(`Replaying ${log.entries.length} payloads recorded ${log.header.startedAt}`);
+
+    const replayer = createReplayer({
+      entries: log.entries,
+      onEntry: ingestEntry,
+      onReset: resetView,
+      onState: (state) => setReplay(prev => (prev ? { ...prev, ...state } : prev))
+    });
+    replayerRef.current = replayer;
+    setReplay({ name: file.name, playing: false, speed: 1, position: 0, duration: 0 });
+    replayer.play();
+  }, [resetView, ingestEntry]);
+
+  const exitReplay = useCallback(() => {
+    if (replayerRef.current) replayerRef.current.destroy();
+    replayerRef.current = null;
+    resetView();
+    setReplay(null);
+  }, [resetView]);
+
+  const startDemo = useCallback((rates) => {
+    if (replayerRef.current) replayerRef.current.destroy();
+    replayerRef.current = null;
+    setReplay(null);
+    resetView();
+    setDemoRates(rates);
+    setDemoRunning(true);
+  }, [resetView]);
+
+  const stopDemo = useCallback(() => {
+    resetView();
+    setDemoRunning(false);
+  }, [resetView]);
+
+  // Synthetic chain, mined one zone block at a time
+  useEffect(() => {
+    if (!demoRunning) return;
+
+    const chain = createDemoChain({ rates: demoRates });
+    demoChainRef.current = chain;
+    console.log('Demo chain started with rates:', chain.rates);
+
+    const interval = setInterval(() => chain.tick().forEach(ingestEntry), chain.rates.blockInterval);
+    return () => {
+      clearInterval(interval);
+      demoChainRef.current = null;
     };
+  }, [demoRunning, demoRates, ingestEntry]);
+
+  // Stop playback when the visualizer goes away
+  useEffect(() => () => {
+    if (replayerRef.current) replayerRef.current.destroy();
+  }, []);
+
+  // Node connections, one shared RPC client per zone; none while replaying or running the demo
+  useEffect(() => {
+    if (offline) return;
+
+    const configured = endpoints.endpoints
+      .map((endpoint, index) => ({ zone: String(index), ...endpoint }))
+      .filter(endpoint => endpoint.wsUrl);
+
+    const clients = clientsRef.current;
+    const disconnectedSince = disconnectedSinceRef.current;
+    const teardown = [];
+
+    configured.forEach(({ zone, wsUrl, httpUrl }) => {
+      const client = acquireRpcClient({ wsUrl, httpUrl });
+      clients.set(zone, client);
+
+      // Fetch the current tip right away; the subscription only delivers new heads
+      const handleStatus = (status) => {
+        setZoneStatus(zone, status);
+        if (status === 'Connected') {
+          disconnectedSince.delete(zone);
+          if (!lastTipAtRef.current.has(zone)) lastTipAtRef.current.set(zone, { height: null, at: Date.now() });
+          lastHeadRef.current.set(zone, { at: Date.now(), number: null });
+          pollLatestBlock(zone);
+        } else if (!disconnectedSince.has(zone)) {
+          disconnectedSince.set(zone, Date.now());
+        }
+      };
+      handleStatus(client.getStatus());
+      teardown.push(client.onStatusChange(handleStatus));
+
+      teardown.push(client.subscribe(['newHeads'], (head) => handleNewHead(head, zone)));
+
+      teardown.push(client.subscribe(['newWorkshares'], (result) => {
+        capture('workshare', zone, result);
+        ingestWorkshare(result, zone);
+      }));
 
-    connectWebSocket();
+      teardown.push(() => releaseRpcClient(client));
+    });
 
     return () => {
-      if (wsConnection) {
-        wsConnection.close();
-      }
+      teardown.forEach(fn => fn());
+      clients.clear();
+      disconnectedSince.clear();
+      setZoneStatuses({});
     };
-  }, [addItem]);
+  }, [endpoints, offline, ingestWorkshare, capture, setZoneStatus, pollLatestBlock, handleNewHead]);
 
-  // Set up polling interval
+  // Watch for zones whose head feed has gone quiet and switch them to polling
+  const connectedKey = connectedZones.join(',');
   useEffect(() => {
-    if (!isConnected) return;
-    
-    pollLatestBlock();
-    const interval = setInterval(pollLatestBlock, 1000);
-    
+    if (!connectedKey) return;
+
+    const watched = connectedKey.split(',');
+    const checkHeads = () => {
+      const now = Date.now();
+      const stalled = watched.filter(zone => {
+        const last = lastHeadRef.current.get(zone);
+        return last && now - last.at > HeadGapTimeout;
+      });
+      if (stalled.length === 0) return;
+      setPollingZones(prev => {
+        const added = stalled.filter(zone => !prev.includes(zone));
+        if (added.length === 0) return prev;
+        console.warn(`No new heads for ${HeadGapTimeout / 1000}s, polling zones: ${added.join(', ')}`);
+        return [...prev, ...added];
+      });
+    };
+
+    const interval = setInterval(checkHeads, 1000);
     return () => clearInterval(interval);
-  }, [isConnected, pollLatestBlock]);
+  }, [connectedKey]);
 
-  // D3.js visualization
+  // Fallback polling for connected zones without a working head feed
+  const pollingKey = connectedZones.filter(zone => pollingZones.includes(zone)).join(',');
   useEffect(() => {
-    if (!svgRef.current || items.length === 0) return;
-    
-    const svg = d3.select(svgRef.current);
-    const svgNode = svgRef.current;
-    const rect = svgNode.getBoundingClientRect();
-    const width = rect.width;
-    const height = rect.height;
+    if (!pollingKey) return;
 
-    console.log(`Rendering ${items.length} items, SVG size: ${width}x${height}`);
+    const polled = pollingKey.split(',');
+    const pollAll = () => polled.forEach(zone => pollLatestBlock(zone));
 
-    // Compute minHeight for normalization
-    const minHeight = Math.min(...items.map(item => item.number ?? Infinity));
-    const maxBlockSize = Math.max(...Object.values(config.sizes));
-
-    const currentMaxHeight = maxHeightRef.current;
-    const addedParent = prevMinHeightRef.current !== null && minHeight < prevMinHeightRef.current;
-    const addedNewTip = currentMaxHeight > prevMaxHeightRef.current;
-
-    // Base Y positions for chains
-    const typeBaseY = {
-      primeBlock: 100,
-      regionBlock: 250,
-      block: 400, // zone
-      uncle: 400 + maxBlockSize + 50,
-      workshare: 400 + 2 * (maxBlockSize + 50),
-    };
+    pollAll();
+    const interval = setInterval(pollAll, pollInterval);
 
-    // Group items by height for stacking calculation
-    const heightToItems = d3.group(items, d => d.number);
-
-    // Compute workshare counts per parent
-    const workshareCounts = d3.rollup(
-      items.filter(i => i.type === 'workshare'),
-      v => v.length,
-      d => d.fullParentHash
-    );
-
-    // Compute max chain size per height
-    const heightToMaxChainSize = new Map();
-    for (const [height, group] of heightToItems) {
-      const chainGroup = group.filter(i => ['block', 'primeBlock', 'regionBlock'].includes(i.type));
-      if (chainGroup.length > 0) {
-        const maxSize = Math.max(...chainGroup.map(i => {
-          let base = config.sizes.zone;
-          if (i.type === 'primeBlock') base = config.sizes.prime;
-          else if (i.type === 'regionBlock') base = config.sizes.region;
-          const count = workshareCounts.get(i.fullHash) || 0;
-          return base * (1 + 0.1 * count);
-        }));
-        heightToMaxChainSize.set(height, maxSize);
-      }
-    }
+    return () => clearInterval(interval);
+  }, [pollingKey, pollLatestBlock, pollInterval]);
 
-    // Compute positionedItems with displayX and displayY
-    const positionedItems = items.map(item => {
-      let baseSize = config.sizes.zone;
-      if (item.type === 'primeBlock') baseSize = config.sizes.prime;
-      else if (item.type === 'regionBlock') baseSize = config.sizes.region;
-      else baseSize = config.sizes.zone;
+  // Tell the host about connection status changes
+  const reportedStatusesRef = useRef({});
+  useEffect(() => {
+    const previous = reportedStatusesRef.current;
+    reportedStatusesRef.current = zoneStatuses;
+    const { onConnectionChange: notify } = callbacksRef.current;
+    if (!notify) return;
+    new Set([...Object.keys(previous), ...Object.keys(zoneStatuses)]).forEach(zone => {
+      const status = zoneStatuses[zone] || 'Disconnected';
+      if ((previous[zone] || 'Disconnected') !== status) notify(zone, status);
+    });
+  }, [zoneStatuses]);
 
-      let size = baseSize;
-      if (['block', 'primeBlock', 'regionBlock'].includes(item.type)) {
-        const count = workshareCounts.get(item.fullHash) || 0;
-        size = baseSize * (1 + 0.1 * count);
-      }
+  // Tell the host about zone heads its nodes reported
+  const reportedHeadsRef = useRef({});
+  useEffect(() => {
+    const previous = reportedHeadsRef.current;
+    reportedHeadsRef.current = heads;
+    const tips = Object.entries(heads)
+      .filter(([key, hash]) => key.startsWith('block:') && previous[key] !== hash)
+      .map(([key, hash]) => {
+        const block = engineRef.current.chainItems(key).get(hash);
+        return { zone: key.slice('block:'.length), hash, number: block ? block.number : null };
+      });
+    if (tips.length === 0) return;
 
-      let displayX = 0, displayY;
+    setAnnouncement(tips.map(tip => `${zoneLabel(tip.zone)}: new tip ${tip.number ?? tip.hash.slice(0, 10)}`).join('. '));
+    const { onNewTip: notify } = callbacksRef.current;
+    if (notify) tips.forEach(tip => notify(tip));
+  }, [heads, zoneLabel]);
 
-      if (item.number === null) {
-        displayX = -size;
-        displayY = Math.random() * 400 + 100;
-      } else {
-        const relativeHeight = item.number - minHeight;
-        const baseX = relativeHeight * (maxBlockSize + config.spacing) + 100;
-
-        const sameHeightItems = heightToItems.get(item.number) || [];
-        const sameTypeItems = sameHeightItems.filter(i => i.type === item.type);
-        const index = sameTypeItems.findIndex(i => i.id === item.id);
-        
-        const baseY = typeBaseY[item.type] || 200;
-        const stackedY = baseY + index * (maxBlockSize + 20);
-        displayY = stackedY - size / 2;
-
-        if (['primeBlock', 'regionBlock', 'block'].includes(item.type)) {
-          const heightMax = heightToMaxChainSize.get(item.number) || maxBlockSize;
-          displayX = baseX + (heightMax - size) / 2;
-        } else {
-          displayX = baseX; // temporary, will adjust later
+  // Detect reorgs whenever a chain's head moves to a block that doesn't extend it
+  useEffect(() => {
+    const detected = [];
+
+    Object.entries(heads).forEach(([key, headHash]) => {
+      const settled = settledHeadsRef.current.get(key);
+      if (settled === headHash) return;
+      if (settled) {
+        const result = compareHeads(engineRef.current.chainItems(key), settled, headHash);
+        if (result === null) return; // ancestry not loaded yet, try again on the next update
+        if (result.reorg) {
+          detected.push({
+            id: `${key}-${headHash}`,
+            chain: key,
+            time: Date.now(),
+            depth: result.depth,
+            oldTip: settled,
+            newTip: headHash,
+            commonAncestor: result.commonAncestor
+          });
         }
       }
+      settledHeadsRef.current.set(key, headHash);
+    });
 
-      return { ...item, displayX, displayY, size };
+    if (detected.length > 0) {
+      detected.forEach(reorg => {
+        console.warn(`Reorg on ${reorg.chain}: depth ${reorg.depth ?? '?'}, ${reorg.oldTip} -> ${reorg.newTip}`);
+      });
+      setReorgs(prev => [...prev, ...detected].slice(-MaxReorgLogEntries));
+      setAnnouncement(detected.map(reorg => `${chainLabel(reorg.chain)}: reorg of depth ${reorg.depth ?? 'unknown'}`).join('. '));
+      const { onReorg: notify } = callbacksRef.current;
+      if (notify) detected.forEach(reorg => notify(reorg));
+      raiseAlerts(detected.flatMap(reorg => checkReorg(alertRules, reorg, chainLabel)));
+    }
+  }, [items, heads, alertRules, chainLabel, raiseAlerts]);
+
+  // Note when each zone's tip last moved up, for the stale zone rule
+  useEffect(() => {
+    Object.entries(tipHeights).forEach(([zone, height]) => {
+      const last = lastTipAtRef.current.get(zone);
+      if (!last || last.height === null || height > last.height) {
+        lastTipAtRef.current.set(zone, { height, at: Date.now() });
+      }
     });
+  }, [tipHeights]);
 
-    // Adjust displayX for uncles and workshares to center under zone
-    positionedItems.forEach(item => {
-      if (['uncle', 'workshare'].includes(item.type) && item.number !== null) {
-        const zone = positionedItems.find(p => p.number === item.number && p.type === 'block');
-        if (zone) {
-          item.displayX = zone.displayX + (zone.size - item.size) / 2;
-        }
+  // Uncle rate rules, whenever the chain changes
+  useEffect(() => {
+    if (!alertRules.some(rule => rule.enabled && rule.type === 'uncleRate')) return;
+    const uncleRate = (blocks) => computeHealthMetrics({ items, heads, propagation: [], windowSize: blocks }).values.uncleRate;
+    raiseAlerts(alertTrackerRef.current.update('uncleRate', checkUncleRules(alertRules, uncleRate)));
+  }, [items, heads, alertRules, raiseAlerts]);
+
+  // Time based rules, checked on a timer. A replay runs on recorded time, so stale zones
+  // are not judged while one plays.
+  useEffect(() => {
+    const check = () => {
+      const now = Date.now();
+      const zoneIds = new Set([...lastTipAtRef.current.keys(), ...disconnectedSinceRef.current.keys()]);
+      const watched = Array.from(zoneIds).map(zone => ({
+        zone,
+        label: zoneLabel(zone),
+        lastBlockAt: !replaying && lastTipAtRef.current.has(zone) ? lastTipAtRef.current.get(zone).at : null,
+        disconnectedSince: disconnectedSinceRef.current.get(zone) ?? null
+      }));
+      const conditions = checkTimedRules(alertRules, { now, zones: watched, fetchFailures: fetchFailuresRef.current });
+      raiseAlerts(alertTrackerRef.current.update('timed', conditions));
+    };
+
+    const interval = setInterval(check, AlertCheckInterval);
+    return () => clearInterval(interval);
+  }, [alertRules, replaying, zoneLabel, raiseAlerts]);
+
+  const applyAlertRules = useCallback((next) => {
+    saveAlertRules(next);
+    setAlertRules(next);
+  }, []);
+
+  const acknowledgeAlert = useCallback((id) => {
+    setAlerts(prev => prev.map(alert => (alert.id === id ? { ...alert, acknowledged: true } : alert)));
+  }, []);
+
+  const acknowledgeAllAlerts = useCallback(() => {
+    setAlerts(prev => prev.map(alert => (alert.acknowledged ? alert : { ...alert, acknowledged: true })));
+  }, []);
+
+  // Move the view so a layout point is centered, keeping the current zoom level.
+  // Looking somewhere on purpose stops following the tip.
+  const centerOn = useCallback((x, y, duration) => {
+    if (!svgRef.current || !zoomRef.current) return;
+    setFollowTip(false);
+    const svg = d3.select(svgRef.current);
+    const { width, height } = svgRef.current.getBoundingClientRect();
+    const k = d3.zoomTransform(svgRef.current).k;
+    const transform = d3.zoomIdentity.translate(width / 2 - x * k, height / 2 - y * k).scale(k);
+    if (duration > 0) {
+      svg.transition().duration(duration).call(zoomRef.current.transform, transform);
+    } else {
+      svg.interrupt().call(zoomRef.current.transform, transform);
+    }
+  }, []);
+
+  // Center the view on a loaded item
+  const centerOnItem = useCallback((item) => {
+    centerOn(item.displayX + item.size / 2, item.displayY + item.size / 2, 500);
+  }, [centerOn]);
+
+  // Pan right far enough to show the newest blocks
+  const panToTip = useCallback(() => {
+    if (!svgRef.current || !zoomRef.current || positionedRef.current.length === 0) return;
+    const svg = d3.select(svgRef.current);
+    const { width } = svgRef.current.getBoundingClientRect();
+    const currentTransform = d3.zoomTransform(svgRef.current);
+    const viewWidth = width / currentTransform.k;
+    const rightEdge = -currentTransform.x / currentTransform.k + viewWidth;
+    const maxX = d3.max(positionedRef.current, d => d.displayX + d.size) + 100;
+    if (maxX > rightEdge) {
+      const panX = -(maxX - viewWidth + 100) * currentTransform.k;
+      const newTransform = d3.zoomIdentity.translate(panX, currentTransform.y).scale(currentTransform.k);
+      svg.transition().duration(500).call(zoomRef.current.transform, newTransform);
+    }
+  }, []);
+
+  useEffect(() => {
+    followTipRef.current = followTip;
+    if (followTip) panToTip();
+  }, [followTip, panToTip]);
+
+  // Overview strip; dragging its viewport moves the main view
+  useEffect(() => {
+    const minimap = createMinimap(minimapCanvasRef.current, { onNavigate: (x, y) => centerOn(x, y, 0) });
+    minimapRef.current = minimap;
+    return () => minimap.destroy();
+  }, [centerOn]);
+
+  // Jump to a block by hash: center it once it is laid out and show its details
+  const focusBlock = useCallback((hash, zone) => {
+    const matches = positionedRef.current.filter(p => p.fullHash === hash);
+    const item = matches.find(p => p.type === 'block') || matches[0];
+    if (item) {
+      pendingFocusRef.current = null;
+      centerOnItem(item);
+    } else {
+      pendingFocusRef.current = hash;
+    }
+    setSelectedBlock(prev => ({ hash, zone: item ? item.zone : (zone || (prev ? prev.zone : '0')) }));
+  }, [centerOnItem]);
+
+  // Walk back from a fetched block until reaching loaded blocks; returns how many were fetched
+  const fetchAncestry = useCallback(async (block, zone) => {
+    let parentHash = block.woHeader.parentHash;
+    let fetched = 0;
+    while (parentHash && parentHash !== ZeroHash && !engineRef.current.hasHash(parentHash)) {
+      if (fetched >= MaxSearchAncestry) {
+        console.warn(`Stopped fetching ancestry of ${block.hash} after ${MaxSearchAncestry} blocks`);
+        break;
+      }
+      const parent = await fetchBlockByHash(parentHash, zone);
+      if (!parent || !parent.woHeader) break;
+      capture('block', zone, parent, 'parent');
+      ingestBlock(parent, zone);
+      fetched++;
+      parentHash = parent.woHeader.parentHash;
+    }
+    return fetched;
+  }, [fetchBlockByHash, ingestBlock, capture]);
+
+  // Find a block by hash, prefix or height; blocks that aren't loaded are fetched from
+  // the connected zones, pinned so retention keeps them, and linked to loaded history
+  const searchBlocks = useCallback(async (text) => {
+    const query = parseSearchQuery(text);
+    if (!query) throw new Error('Enter a block hash, a hash prefix of at least 6 hex digits or a height');
+
+    const loaded = findMatches(engineRef.current.items(), query);
+    if (loaded.length > 0) {
+      focusBlock(loaded[0].fullHash, loaded[0].zone);
+      return { message: loaded.length > 1 ? `${loaded.length} matches, showing ${loaded[0].hash}` : `Found ${loaded[0].hash}` };
+    }
+    if (query.kind === 'prefix') throw new Error('No loaded block matches that prefix');
+    if (clientsRef.current.size === 0) throw new Error('Not loaded, and no node to fetch it from');
+
+    for (const [zone, client] of clientsRef.current) {
+      let block;
+      try {
+        block = query.kind === 'hash'
+          ? await client.request('quai_getBlockByHash', [query.hash, true], { retries: 1, signal: fetchAbortRef.current.signal })
+          : await client.request('quai_getBlockByNumber', [`0x${query.number.toString(16)}`, true], { retries: 1, signal: fetchAbortRef.current.signal });
+      } catch (error) {
+        if (error.aborted) throw error;
+        console.warn(`Search in zone ${zone} failed:`, error);
+        continue;
       }
+      if (!block || !block.woHeader) continue;
+
+      console.log(`Search fetched ${block.hash} from zone ${zone}`);
+      capture('block', zone, block, 'search');
+      ingestBlock(block, zone);
+      setPinned(prev => (prev.has(block.hash) ? prev : new Set(prev).add(block.hash)));
+      focusBlock(block.hash, zone);
+
+      // Ancestry older than the retention window would be pruned right away
+      const number = parseInt(block.woHeader.number, 16);
+      const tip = tipHeights[zone];
+      if (retention.mode === 'count' && tip !== undefined && number <= tip - retention.maxBlocks) {
+        return { message: `Fetched and pinned ${block.hash.slice(0, 8)}, outside the retention window` };
+      }
+      const ancestors = await fetchAncestry(block, zone);
+      return { message: `Fetched and pinned ${block.hash.slice(0, 8)}${ancestors > 0 ? ` with ${ancestors} ancestors` : ''}` };
+    }
+    throw new Error('Block not found on any connected node');
+  }, [focusBlock, fetchAncestry, ingestBlock, capture, tipHeights, retention]);
+
+  // Canvas renderer, drawing under the SVG when the graph gets large
+  useEffect(() => {
+    const renderer = createCanvasRenderer(canvasRef.current);
+    renderer.setTransform(d3.zoomTransform(svgRef.current));
+    rendererRef.current = renderer;
+    return () => renderer.destroy();
+  }, []);
+
+  useEffect(() => {
+    setUsingCanvas(prev => {
+      const next = shouldUseCanvas(rendering, items.length, prev);
+      if (next !== prev) console.log(`Switching to ${next ? 'Canvas' : 'SVG'} rendering at ${items.length} items`);
+      return next;
     });
+  }, [items.length, rendering]);
+
+  // D3.js visualization
+  useEffect(() => {
+    if (!svgRef.current) return;
+
+    const svg = d3.select(svgRef.current);
+
+    // Clear any previous drawing when starting over (e.g. after switching endpoints)
+    if (items.length === 0) {
+      svg.select('.main-group').selectAll('*').remove();
+      svg.select('.tooltip').remove();
+      rendererRef.current.clear();
+      sceneRef.current = null;
+      positionedRef.current = [];
+      minimapRef.current.setItems([], config.colors);
+      return;
+    }
+
+    const svgNode = svgRef.current;
+    const rect = svgNode.getBoundingClientRect();
+    const width = rect.width;
+    const height = rect.height;
+
+    console.log(`Rendering ${items.length} items, SVG size: ${width}x${height}`);
 
-    // Group coincident blocks for vertical lines (same number and fullHash, different types)
-    const coincidentGroups = Array.from(d3.group(positionedItems, d => d.number + '-' + d.fullHash).values())
-      .filter(group => group.length > 1 && group.every(g => ['primeBlock', 'regionBlock', 'block'].includes(g.type)));
+    // Bring the layout up to date with whatever was ingested since the last render
+    const { nodes, edges, lanes: { zoneOrder, laneBaseY }, missingParents } =
+      engineRef.current.computeLayout(config, { heads, select });
+
+    const addedNewTip = tipVersionRef.current > prevTipVersionRef.current;
 
     // Get or create main group for zoom/pan
     let mainGroup = svg.select('.main-group');
@@ -463,6 +1025,13 @@ const ChainVisualizer = () => {
         .scaleExtent([0.1, 5])
         .on('zoom', (event) => {
           mainGroup.attr('transform', event.transform);
+          rendererRef.current.setTransform(event.transform);
+          const bounds = svgNode.getBoundingClientRect();
+          minimapRef.current.setView(event.transform, bounds.width, bounds.height);
+          // Dragging the view by hand means the user wants to look around, not follow the tip
+          if (event.sourceEvent && event.sourceEvent.type.endsWith('move') && followTipRef.current) {
+            setFollowTip(false);
+          }
         });
       svg.call(zoomRef.current);
     }
@@ -479,359 +1048,308 @@ const ChainVisualizer = () => {
         .attr('markerHeight', 4)
         .attr('orient', 'auto')
         .append('path')
-        .attr('d', 'M0,-5L10,0L0,5')
-        .attr('fill', config.colors.arrow);
+        .attr('d', 'M0,-5L10,0L0,5');
     }
-
-    // Draw arrows FIRST (so they appear behind blocks)
-    const arrowData = positionedItems.filter(item => {
-      const parentType = ['primeBlock', 'regionBlock', 'block'].includes(item.type) ? item.type : 'block';
-      const parent = positionedItems.find(p => p.fullHash === item.fullParentHash && p.type === parentType);
-      return parent && item.fullParentHash !== '0x0000000000000000000000000000000000000000000000000000000000000000';
+    svg.select('#arrowhead path').attr('fill', config.colors.arrow);
+
+    // Label zone lanes when more than one zone is shown; filters can leave a zone without a block lane
+    const laneLabelData = zoneOrder.length > 1 ? zoneOrder.map(zone => ({
+      id: 'lane-label-' + zone,
+      label: zoneLabel(zone),
+      y: laneBaseY.get(laneKey('block', zone))
+    })).filter(label => label.y !== undefined) : [];
+
+    // Difficulty or entropy as block fill intensity or as lane sparklines
+    const { items: positionedItems, sparklines } = applyEncoding({
+      items: nodes,
+      encoding,
+      colors: config.colors,
+      laneBaseY,
+      maxBlockSize: Math.max(...Object.values(config.sizes))
     });
 
-    const arrows = mainGroup.selectAll('.arrow')
-      .data(arrowData, d => d.id);
-
-    arrows.exit().remove();
-
-    const arrowsEnter = arrows.enter()
-      .append('line')
-      .attr('class', 'arrow')
-      .attr('stroke', config.colors.arrow)
-      .attr('stroke-width', 2)
-      .attr('marker-end', 'url(#arrowhead)')
-      .attr('x1', d => d.displayX)
-      .attr('y1', d => d.displayY + d.size / 2)
-      .attr('x2', d => {
-        const parentType = ['primeBlock', 'regionBlock', 'block'].includes(d.type) ? d.type : 'block';
-        const parent = positionedItems.find(p => p.fullHash === d.fullParentHash && p.type === parentType);
-        return parent ? parent.displayX + parent.size : d.displayX;
-      })
-      .attr('y2', d => {
-        const parentType = ['primeBlock', 'regionBlock', 'block'].includes(d.type) ? d.type : 'block';
-        const parent = positionedItems.find(p => p.fullHash === d.fullParentHash && p.type === parentType);
-        return parent ? parent.displayY + parent.size / 2 : d.displayY;
-      })
-      .style('opacity', 0);
-
-    const arrowsUpdate = arrowsEnter.merge(arrows);
-
-    arrowsUpdate
-      .transition('arrow')
-      .duration(300)
-      .attr('x1', d => d.displayX)
-      .attr('y1', d => d.displayY + d.size / 2)
-      .attr('x2', d => {
-        const parentType = ['primeBlock', 'regionBlock', 'block'].includes(d.type) ? d.type : 'block';
-        const parent = positionedItems.find(p => p.fullHash === d.fullParentHash && p.type === parentType);
-        return parent ? parent.displayX + parent.size : d.displayX;
-      })
-      .attr('y2', d => {
-        const parentType = ['primeBlock', 'regionBlock', 'block'].includes(d.type) ? d.type : 'block';
-        const parent = positionedItems.find(p => p.fullHash === d.fullParentHash && p.type === parentType);
-        return parent ? parent.displayY + parent.size / 2 : d.displayY;
-      })
-      .style('opacity', 0.8);
-
-    // Draw inclusion arrows for uncles and workshares
-    const inclusionData = positionedItems.filter(item => item.includedIn && ['uncle', 'workshare'].includes(item.type)).map(item => {
-      const includingBlock = positionedItems.find(p => p.fullHash === item.includedIn && p.type === 'block');
-      if (includingBlock) {
-        return {
-          id: 'inclusion-' + item.id,
-          x1: includingBlock.displayX + includingBlock.size / 2,
-          y1: includingBlock.displayY + includingBlock.size,
-          x2: item.displayX + item.size / 2,
-          y2: item.displayY
-        };
-      }
-      return null;
-    }).filter(d => d !== null);
-
-    const inclusionArrows = mainGroup.selectAll('.inclusion')
-      .data(inclusionData, d => d.id);
-
-    inclusionArrows.exit().remove();
-
-    inclusionArrows.enter()
-      .append('line')
-      .attr('class', 'inclusion')
-      .attr('stroke', config.colors.arrow)
-      .attr('stroke-width', 2)
-      .attr('marker-end', 'url(#arrowhead)')
-      .attr('x1', d => d.x1)
-      .attr('y1', d => d.y1)
-      .attr('x2', d => d.x2)
-      .attr('y2', d => d.y2)
-      .style('opacity', 0)
-      .merge(inclusionArrows)
-      .transition('inclusion')
-      .duration(300)
-      .attr('x1', d => d.x1)
-      .attr('y1', d => d.y1)
-      .attr('x2', d => d.x2)
-      .attr('y2', d => d.y2)
-      .style('opacity', 0.8);
-
-    // Draw vertical coincident lines between blocks
-    const coincidentData = [];
-    coincidentGroups.forEach(group => {
-      const sorted = group.sort((a, b) => typeBaseY[a.type] - typeBaseY[b.type]);
-      for (let i = 0; i < sorted.length - 1; i++) {
-        const upper = sorted[i];
-        const lower = sorted[i + 1];
-        coincidentData.push({
-          id: 'coincident-' + upper.id + '-to-' + lower.id,
-          x: upper.displayX + upper.size / 2,
-          y1: upper.displayY + upper.size,
-          y2: lower.displayY
+    const scene = {
+      items: positionedItems,
+      arrows: edges.arrows,
+      inclusions: edges.inclusions,
+      coincident: edges.coincident,
+      etxLinks: txOverlay.enabled ? buildEtxLinks({ items: positionedItems, zoneOfLocation, address: txOverlay.address }) : [],
+      txOverlay: txOverlay.enabled,
+      sparklines,
+      laneLabels: laneLabelData,
+      // Keep lane labels left of the oldest height, which moves as history is backfilled
+      labelX: (d3.min(positionedItems, d => d.displayX) ?? 100) - 20,
+      colors: config.colors
+    };
+
+    sceneRef.current = scene;
+
+    const onHover = (item) => {
+      svg.select('.tooltip').remove();
+      if (item) showTooltip(svg, item, config.colors);
+    };
+    const onSelect = (item) => {
+      setSelectedBlock({ hash: item.fullHash, zone: item.zone });
+      const { onBlockClick: notify } = callbacksRef.current;
+      if (notify) notify(item);
+    };
+
+    svg.classed('canvas-mode', usingCanvas);
+    if (usingCanvas) {
+      clearSvgScene(mainGroup);
+      rendererRef.current.setScene(scene);
+
+      // The SVG stays on top for zoom and pan, so hit-test pointer events against the canvas
+      let hovered = null;
+      svg
+        .on('mousemove.canvas', (event) => {
+          const [px, py] = d3.pointer(event, svgNode);
+          const item = rendererRef.current.hitTest(px, py);
+          if ((item && item.id) === (hovered && hovered.id)) return;
+          hovered = item;
+          svg.classed('hovering', Boolean(item));
+          rendererRef.current.setHighlight({ hovered: item ? item.id : null });
+          onHover(item);
+        })
+        .on('mouseleave.canvas', () => {
+          hovered = null;
+          svg.classed('hovering', false);
+          rendererRef.current.setHighlight({ hovered: null });
+          onHover(null);
+        })
+        .on('click.canvas', (event) => {
+          const [px, py] = d3.pointer(event, svgNode);
+          const item = rendererRef.current.hitTest(px, py);
+          if (item) onSelect(item);
         });
+    } else {
+      rendererRef.current.clear();
+      svg.on('.canvas', null).classed('hovering', false);
+      // Elements keep the colors they were created with, so new colors redraw them all
+      if (renderedColorsRef.current !== config.colors) clearSvgScene(mainGroup);
+      renderedColorsRef.current = config.colors;
+      renderSvgScene(mainGroup, scene, {
+        onHover,
+        onSelect,
+        describe: (item) => describeItem(item, zoneLabel),
+        elementId: (item) => itemElementId(graphId, item)
+      });
+    }
+
+    positionedRef.current = positionedItems;
+    minimapRef.current.setItems(positionedItems, config.colors);
+    minimapRef.current.setView(d3.zoomTransform(svgNode), width, height);
+
+    // Auto-pan logic
+    if (addedNewTip && followTipRef.current) {
+      panToTip();
+    }
+
+    // Center a searched block once it has been laid out
+    if (pendingFocusRef.current) {
+      const matches = positionedItems.filter(p => p.fullHash === pendingFocusRef.current);
+      const target = matches.find(p => p.type === 'block') || matches[0];
+      if (target) {
+        pendingFocusRef.current = null;
+        centerOnItem(target);
+      }
+    }
+
+    // Fetch missing parents of recent items
+    missingParents.forEach(({ hash, zone, childHash, childNumber }) => {
+      if (childNumber > (tipHeights[zone] ?? 0) - maxBlocksToFetch && !missingParentsRef.current.has(hash)) {
+        missingParentsRef.current.set(hash, childHash);
+        fetchMissingParent(hash, zone);
       }
     });
 
-    const coincidentLines = mainGroup.selectAll('.coincident')
-      .data(coincidentData, d => d.id);
+    // Update prev refs
+    prevTipVersionRef.current = tipVersionRef.current;
 
-    coincidentLines.exit().remove();
+  }, [items, fetchMissingParent, tipHeights, heads, maxBlocksToFetch, zoneLabel, config, usingCanvas, centerOnItem, panToTip, txOverlay, zoneOfLocation, encoding, graphId, select]);
 
-    coincidentLines.enter()
-      .append('line')
-      .attr('class', 'coincident')
-      .attr('stroke', config.colors.coincident)
-      .attr('stroke-width', 2)
-      .attr('stroke-dasharray', '5,5')
-      .merge(coincidentLines)
-      .attr('x1', d => d.x)
-      .attr('x2', d => d.x)
-      .attr('y1', d => d.y1)
-      .attr('y2', d => d.y2);
+  // Highlight every representation of the selected and pinned blocks, and the items of
+  // the legend entry under the pointer
+  useEffect(() => {
+    d3.select(svgRef.current).selectAll('.main-group .block')
+      .classed('selected', d => Boolean(selectedBlock) && d.fullHash === selectedBlock.hash)
+      .classed('pinned', d => pinned.has(d.fullHash))
+      .classed('focused', d => d.id === focusedId)
+      .classed('legend-highlighted', d => Boolean(legendEntry) && matchesLegendEntry(d, legendEntry));
+    rendererRef.current.setHighlight({ selected: selectedBlock ? selectedBlock.hash : null, pinned, focused: focusedId, legendEntry });
+  }, [selectedBlock, pinned, focusedId, legendEntry, items, usingCanvas, filters]);
+
+  // Keyboard navigation over the laid out items; Enter selects like a click
+  const handleGraphKeyDown = useCallback((event) => {
+    const positioned = positionedRef.current;
+    const current = positioned.find(item => item.id === focusedId) || null;
+
+    if (event.key === 'Escape') {
+      setSelectedBlock(null);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      if (!current) return;
+      event.preventDefault();
+      setSelectedBlock({ hash: current.fullHash, zone: current.zone });
+      const { onBlockClick: notify } = callbacksRef.current;
+      if (notify) notify(current);
+    } else if (NavigationKeys.includes(event.key)) {
+      event.preventDefault();
+      const next = current
+        ? navigate(positioned, current, event.key)
+        : initialFocus(positioned, selectedBlock ? selectedBlock.hash : null);
+      if (!next) return;
+      setFocusedId(next.id);
+      centerOnItem(next);
+      // Blocks drawn on the canvas have no elements to point the screen reader at
+      if (usingCanvas) setAnnouncement(describeItem(next, zoneLabel));
+    }
+  }, [focusedId, selectedBlock, centerOnItem, usingCanvas, zoneLabel]);
 
-    // Update blocks AFTER arrows and lines
-    const blocks = mainGroup.selectAll('.block')
-      .data(positionedItems, d => d.id);
+  // Age-based retention needs to run even when no new items arrive
+  useEffect(() => {
+    const interval = setInterval(() => setPruneTick(t => t + 1), 10000);
+    return () => clearInterval(interval);
+  }, []);
 
-    // Remove old blocks
-    blocks.exit().remove();
+  // Prune items outside the retention window along with their bookkeeping
+  useEffect(() => {
+    const kept = pruneItems(items, retention, { tipHeights, pinned, now: Date.now(), backfilledFrom });
+    if (kept.length === items.length) return;
+
+    const keptIds = new Set(kept.map(item => item.id));
+    const removed = items.filter(item => !keptIds.has(item.id));
+    console.log(`Pruning ${removed.length} items outside the retention window`);
+    engineRef.current.remove(removed);
+    setItems(engineRef.current.items());
+
+    const keptHashes = new Set(kept.map(item => item.fullHash));
+    for (const [parentHash, childHash] of missingParentsRef.current) {
+      if (!keptHashes.has(childHash)) missingParentsRef.current.delete(parentHash);
+    }
+    for (const parentHash of fetchingParentsRef.current) {
+      if (!missingParentsRef.current.has(parentHash)) fetchingParentsRef.current.delete(parentHash);
+    }
+  }, [items, retention, pinned, tipHeights, backfilledFrom, pruneTick]);
 
-    // Add new blocks
-    const blocksEnter = blocks.enter()
-      .append('g')
-      .attr('class', 'block')
-      .attr('transform', d => `translate(${d.displayX}, ${d.displayY})`)
-      .style('cursor', 'pointer');
+  // A new window replaces whatever backfills had extended it to
+  const applyRetention = useCallback((next) => {
+    saveRetention(next);
+    setRetention(next);
+    setBackfilledFrom({});
+  }, []);
 
-    // Merge enter and update selections
-    const blocksUpdate = blocksEnter.merge(blocks);
+  const applyRendering = useCallback((next) => {
+    saveRendering(next);
+    setRendering(next);
+  }, []);
 
-    // Update positions for all blocks
-    blocksUpdate
-      .transition('position')
-      .duration(300)
-      .attr('transform', d => `translate(${d.displayX}, ${d.displayY})`);
+  const applyEncodingSettings = useCallback((next) => {
+    saveEncoding(next);
+    setEncoding(next);
+  }, []);
 
-    // Add rectangles only to new blocks
-    blocksEnter.append('rect')
-      .attr('width', d => d.size)
-      .attr('height', d => d.size)
-      .attr('fill', d => config.colors[d.type])
-      .attr('stroke', '#fff')
-      .attr('stroke-width', 1)
-      .style('opacity', 0)
-      .transition('enter')
-      .duration(800)
-      .style('opacity', 1);
-
-    // Add hash text only to new blocks
-    blocksEnter.append('text')
-      .attr('class', 'hash-text')
-      .attr('x', d => d.size / 2)
-      .attr('y', d => d.size / 2 - 5)
-      .attr('text-anchor', 'middle')
-      .attr('fill', config.colors.text)
-      .attr('font-family', 'monospace')
-      .attr('font-size', '10px')
-      .text(d => d.hash)
-      .style('opacity', 0)
-      .transition('enter')
-      .delay(400)
-      .duration(400)
-      .style('opacity', 1);
-
-    // Add block number only to new blocks
-    blocksEnter.append('text')
-      .attr('class', 'number-text')
-      .attr('x', d => d.size / 2)
-      .attr('y', d => d.size / 2 + 8)
-      .attr('text-anchor', 'middle')
-      .attr('fill', config.colors.text)
-      .attr('font-family', 'monospace')
-      .attr('font-size', '9px')
-      .text(d => d.number !== null ? `#${d.number}` : '')
-      .style('opacity', 0)
-      .transition('enter')
-      .delay(400)
-      .duration(400)
-      .style('opacity', 1);
-
-    // Add type label only to new blocks
-    blocksEnter.append('text')
-      .attr('class', 'type-text')
-      .attr('x', d => d.size / 2)
-      .attr('y', -5)
-      .attr('text-anchor', 'middle')
-      .attr('fill', config.colors.text)
-      .attr('font-family', 'sans-serif')
-      .attr('font-size', '8px')
-      .text(d => {
-        if (d.type === 'primeBlock') return 'PRIME BLOCK';
-        if (d.type === 'regionBlock') return 'REGION BLOCK';
-        if (d.type === 'block') return 'ZONE BLOCK';
-        return d.type.toUpperCase();
-      })
-      .style('opacity', 0)
-      .transition('enter')
-      .delay(600)
-      .duration(400)
-      .style('opacity', 1);
-
-    // Check for size increase and apply shake if needed
-    blocksUpdate.each(function(d) {
-      const group = d3.select(this);
-      const rect = group.select('rect');
-      const prevSize = rect.empty() ? 0 : +rect.attr('width');
-      if (d.size > prevSize) {
-        group.transition('shake')
-          .duration(600)
-          .attrTween('transform', function() {
-            return function(t) {
-              const wiggle = Math.sin(t * Math.PI * 8) * 3 * (1 - t);
-              return `translate(${d.displayX + wiggle}, ${d.displayY})`;
-            };
-          })
-          .on('end', function() {
-            group.attr('transform', `translate(${d.displayX}, ${d.displayY})`);
-          });
-      }
+  const applyTheme = useCallback((next) => {
+    saveTheme(next);
+    setTheme(next);
+    const { onThemeChange: notify } = callbacksRef.current;
+    if (notify) notify(next);
+  }, []);
+
+  // Filters are kept in the URL rather than local storage so filtered views can be shared
+  useEffect(() => {
+    writeFilters(filters);
+  }, [filters]);
+
+  const toggleHiddenType = useCallback((type) => {
+    setFilters(prev => ({
+      ...prev,
+      hidden: prev.hidden.includes(type) ? prev.hidden.filter(t => t !== type) : [...prev.hidden, type]
+    }));
+  }, []);
+
+  const applyHealthSettings = useCallback((next) => {
+    saveHealthSettings(next);
+    setHealthSettings(next);
+  }, []);
+
+  const health = useMemo(
+    () => computeHealthMetrics({ items, heads, propagation, windowSize: healthSettings.windowSize }),
+    [items, heads, propagation, healthSettings.windowSize]
+  );
+
+  const togglePin = useCallback((hash) => {
+    setPinned(prev => {
+      const next = new Set(prev);
+      if (next.has(hash)) next.delete(hash);
+      else next.add(hash);
+      return next;
     });
+  }, []);
 
-    // Transition size changes
-    const sizeTransition = blocksUpdate.select('rect')
-      .transition('size')
-      .duration(600)
-      .attr('width', d => d.size)
-      .attr('height', d => d.size);
-
-    blocksUpdate.select('.hash-text')
-      .transition('size')
-      .duration(600)
-      .attr('x', d => d.size / 2)
-      .attr('y', d => d.size / 2 - 5);
-
-    blocksUpdate.select('.number-text')
-      .transition('size')
-      .duration(600)
-      .attr('x', d => d.size / 2)
-      .attr('y', d => d.size / 2 + 8);
-
-    blocksUpdate.select('.type-text')
-      .transition('size')
-      .duration(600)
-      .attr('x', d => d.size / 2);
-
-    // Add hover effects only to new blocks
-    blocksEnter
-      .on('mouseover', function(event, d) {
-        d3.select(this).select('rect')
-          .transition('hover')
-          .duration(200)
-          .attr('stroke-width', 3)
-          .attr('stroke', '#FFD700');
-        
-        // Show tooltip
-        const tooltip = svg.append('g')
-          .attr('class', 'tooltip');
-        
-        const tooltipRect = tooltip.append('rect')
-          .attr('fill', 'rgba(0,0,0,0.8)')
-          .attr('stroke', '#fff')
-          .attr('rx', 5);
-        
-        const text = tooltip.append('text')
-          .attr('fill', '#fff')
-          .attr('font-family', 'monospace')
-          .attr('font-size', '12px')
-          .attr('x', 10)
-          .attr('y', 20);
-        
-        text.append('tspan').text(`Hash: ${d.fullHash}`);
-        text.append('tspan').attr('x', 10).attr('dy', 15).text(`Parent: ${d.fullParentHash || 'None'}`);
-        text.append('tspan').attr('x', 10).attr('dy', 15).text(`Number: ${d.number || 'N/A'}`);
-        text.append('tspan').attr('x', 10).attr('dy', 15).text(`Type: ${d.type}`);
-        
-        const bbox = text.node().getBBox();
-        tooltipRect.attr('width', bbox.width + 20).attr('height', bbox.height + 20).attr('x', -10).attr('y', -20 + 10);
-        
-        // Position tooltip above the block, centered
-        const tooltipX = d.displayX + d.size / 2 - (bbox.width + 20) / 2;
-        const tooltipY = d.displayY - (bbox.height + 20) - 10;
-        tooltip.attr('transform', `translate(${tooltipX}, ${tooltipY})`);
-      })
-      .on('mouseout', function() {
-        d3.select(this).select('rect')
-          .transition('hover')
-          .duration(200)
-          .attr('stroke-width', 1)
-          .attr('stroke', '#fff');
-        
-        svg.select('.tooltip').remove();
-      });
+  // Full block for the detail panel, from the zone it was seen in
+  const fetchBlockDetails = useCallback((hash, zone, signal) => {
+    const client = clientsRef.current.get(zone) || clientsRef.current.values().next().value;
+    if (!client) {
+      const demoBlock = demoChainRef.current && demoChainRef.current.getBlock(hash);
+      return demoBlock ? Promise.resolve(demoBlock) : Promise.reject(new Error('Not connected'));
+    }
+    return client.request('quai_getBlockByHash', [hash, false], { retries: 1, signal });
+  }, []);
 
-    // Auto-pan logic
-    if (addedParent) {
-      const shift = (prevMinHeightRef.current - minHeight) * (maxBlockSize + config.spacing);
-      const currentTransform = d3.zoomTransform(svg.node());
-      const newTx = currentTransform.x - shift * currentTransform.k;
-      const stabilizeTransform = d3.zoomIdentity.translate(newTx, currentTransform.y).scale(currentTransform.k);
-      svg.transition().duration(500).call(zoomRef.current.transform, stabilizeTransform);
-    }
-
-    if (addedNewTip) {
-      let currentTransform = d3.zoomTransform(svg.node());
-      const viewWidth = width / currentTransform.k;
-      const rightEdge = -currentTransform.x / currentTransform.k + viewWidth;
-      const maxX = Math.max(...positionedItems.map(d => d.displayX + d.size)) + 100;
-      if (maxX > rightEdge) {
-        const panX = -(maxX - viewWidth + 100) * currentTransform.k;
-        const newTransform = d3.zoomIdentity.translate(panX, currentTransform.y).scale(currentTransform.k);
-        svg.transition().duration(500).call(zoomRef.current.transform, newTransform);
+  // Save the view as SVG or PNG, or the item graph as JSON or DOT. The graph formats
+  // hold every loaded item, including those the view filters hide.
+  const exportView = useCallback(async (format, { area, scale }) => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+    const name = `chain-${format === 'json' || format === 'dot' ? 'graph' : 'view'}-${exportTimestamp()}`;
+
+    if (format === 'json') {
+      const graphItems = engineRef.current.snapshotItems({ heads });
+      downloadFile(graphToJson({ items: graphItems, heads, zoneLabel }), 'application/json', `${name}.json`);
+    } else if (format === 'dot') {
+      const graphItems = engineRef.current.snapshotItems({ heads });
+      downloadFile(graphToDot({ items: graphItems, colors: scene.colors, zoneLabel }), 'text/vnd.graphviz', `${name}.dot`);
+    } else {
+      const image = buildSvgExport({
+        svgNode: svgRef.current,
+        scene,
+        transform: d3.zoomTransform(svgRef.current),
+        area,
+        selected: selectedBlock ? selectedBlock.hash : null,
+        pinned
+      });
+      if (format === 'svg') {
+        downloadFile(image.markup, 'image/svg+xml', `${name}.svg`);
+      } else {
+        downloadFile(await svgToPng(image, scale), 'image/png', `${name}.png`);
       }
     }
+  }, [heads, zoneLabel, selectedBlock, pinned]);
 
-    // Handle missing parents
-    items.forEach(item => {
-      if (item.fullParentHash && 
-          item.fullParentHash !== '0x0000000000000000000000000000000000000000000000000000000000000000' && 
-          item.number > tipBlockHeight - MaxBlocksToFetch) {
-        const parent = items.find(p => p.fullHash === item.fullParentHash);
-        if (!parent && !MissingParents.has(item.fullParentHash)) {
-          MissingParents.set(item.fullParentHash, item.fullHash);
-          fetchMissingParent(item.fullParentHash);
-        }
+  // Imperative API for hosts embedding the component
+  useImperativeHandle(ref, () => ({
+    // Center and select a block, fetching it when it isn't loaded; resolves to whether it was found
+    focusBlock: async (hash) => {
+      try {
+        await searchBlocks(hash);
+        return true;
+      } catch (error) {
+        console.warn(`Could not focus block ${hash}:`, error.message);
+        return false;
       }
-    });
-
-    // Update prev refs
-    prevMinHeightRef.current = minHeight;
-    prevMaxHeightRef.current = currentMaxHeight;
-
-  }, [items, fetchMissingParent, tipBlockHeight, config]);
+    },
+    reset: resetView,
+    // Every loaded item with chain heads, as in the JSON export
+    exportSnapshot: () => graphSnapshot({ items: engineRef.current.snapshotItems({ heads }), heads, zoneLabel })
+  }), [searchBlocks, resetView, heads, zoneLabel]);
 
   // Legend
   useEffect(() => {
     const svg = d3.select(svgRef.current);
     
-    // Remove existing legend
+    // Remove existing legend, remembering which entry had keyboard focus
+    const focusedEntry = svg.select('.legend-item:focus');
+    const refocusType = focusedEntry.empty() ? null : focusedEntry.datum().type;
     svg.select('.legend').remove();
     
     const legend = svg.append('g')
@@ -839,7 +1357,7 @@ const ChainVisualizer = () => {
       .attr('transform', 'translate(20, 20)');
 
     legend.append('text')
-      .attr('fill', '#fff')
+      .attr('fill', config.colors.text)
       .attr('font-family', 'sans-serif')
       .attr('font-size', '14px')
       .text('Legend:');
@@ -849,30 +1367,55 @@ const ChainVisualizer = () => {
       { type: 'regionBlock', color: config.colors.regionBlock, label: 'Region Block', size: 18 },
       { type: 'block', color: config.colors.block, label: 'Zone Block', size: 15 },
       { type: 'uncle', color: config.colors.uncle, label: 'Uncle', size: 15 },
-      { type: 'workshare', color: config.colors.workshare, label: 'Workshare', size: 15 }
+      { type: 'workshare', color: config.colors.workshare, label: 'Workshare', size: 15 },
+      { type: 'orphaned', color: 'none', label: 'Orphaned', size: 15, stroke: config.colors.orphan, dash: '4,3' }
     ];
     
+    // Entries highlight their items on hover; item types also toggle on click, Enter or Space
+    const toggles = (d) => d.type !== 'orphaned';
     const legendGroups = legend.selectAll('.legend-item')
       .data(legendItems)
       .enter()
       .append('g')
       .attr('class', 'legend-item')
-      .attr('transform', (d, i) => `translate(0, ${30 + i * 30})`);
+      .classed('hidden-type', d => filters.hidden.includes(d.type))
+      .attr('transform', (d, i) => `translate(0, ${30 + i * 30})`)
+      .attr('tabindex', d => (toggles(d) ? 0 : null))
+      .attr('role', d => (toggles(d) ? 'checkbox' : null))
+      .attr('aria-checked', d => (toggles(d) ? String(!filters.hidden.includes(d.type)) : null))
+      .attr('aria-label', d => (toggles(d) ? `Show ${d.label.toLowerCase()}s` : null))
+      .on('mouseenter', (event, d) => setLegendEntry(d.type))
+      .on('mouseleave', () => setLegendEntry(null))
+      .on('click', (event, d) => {
+        // Not a click on the graph underneath
+        event.stopPropagation();
+        if (toggles(d)) toggleHiddenType(d.type);
+      })
+      .on('keydown', (event, d) => {
+        if (!toggles(d) || (event.key !== 'Enter' && event.key !== ' ')) return;
+        // Keep the graph's own key handling out of it
+        event.preventDefault();
+        event.stopPropagation();
+        toggleHiddenType(d.type);
+      });
     
     legendGroups.append('rect')
       .attr('width', d => d.size)
       .attr('height', d => d.size)
       .attr('fill', d => d.color)
-      .attr('stroke', '#fff');
+      .attr('stroke', d => d.stroke || config.colors.stroke)
+      .attr('stroke-dasharray', d => d.dash || null);
     
     legendGroups.append('text')
       .attr('x', 30)
       .attr('y', d => d.size / 2 + 5)
-      .attr('fill', '#fff')
+      .attr('fill', config.colors.text)
       .attr('font-family', 'sans-serif')
       .attr('font-size', '12px')
       .text(d => d.label);
 
+    if (refocusType) legendGroups.filter(d => d.type === refocusType).node().focus();
+
     // Connection status
     svg.select('.status').remove();
     const status = svg.append('g')
@@ -880,34 +1423,109 @@ const ChainVisualizer = () => {
       .attr('transform', `translate(${parseInt(svg.style('width'), 10) - 150}, 30)`);
     
     status.append('text')
-      .attr('fill', isConnected ? '#4CAF50' : '#F44336')
+      .attr('fill', isConnected ? config.colors.ok : config.colors.error)
       .attr('font-family', 'sans-serif')
       .attr('font-size', '12px')
       .attr('text-anchor', 'end')
       .text(`Status: ${connectionStatus}`);
 
-  }, [isConnected, connectionStatus, config]);
+  }, [isConnected, connectionStatus, config, filters.hidden, toggleHiddenType]);
 
   return (
-    <div className="chain-visualizer">
+    <div className="chain-visualizer" style={themeStyle(theme)}>
       <div className="visualizer-controls">
         <div className="status-info">
           <span className={`status-indicator ${isConnected ? 'connected' : 'disconnected'}`}>
             {isConnected ? '🟢' : '🔴'}
           </span>
           <span>{connectionStatus}</span>
-          {!isConnected && <span className="demo-note"> (Demo Mode)</span>}
+          {pollingKey && <span className="feed-note"> (polling fallback)</span>}
+          {replaying && <span className="demo-note"> (Replay)</span>}
+          {demoRunning && <span className="demo-note"> (Demo Mode)</span>}
         </div>
+        <SearchBox onSearch={searchBlocks} />
+        <TxOverlayControls overlay={txOverlay} onChange={setTxOverlay} />
+        <label className="follow-toggle" title="Keep the newest blocks in view">
+          <input type="checkbox" checked={followTip} onChange={(e) => setFollowTip(e.target.checked)} />
+          Follow tip
+        </label>
+        <ConnectionSettings settings={endpoints} onApply={applyEndpoints} />
+        <BackfillControls
+          zones={zones.filter(z => connectedZones.includes(z.zone)).map(z => ({ zone: z.zone, label: zoneLabel(z.zone) }))}
+          progress={backfillProgress}
+          onStart={startBackfill}
+          onCancel={cancelBackfill}
+        />
+        <RetentionControls
+          retention={retention}
+          pinnedCount={pinned.size}
+          onApply={applyRetention}
+          onClearPins={() => setPinned(new Set())}
+        />
+        <RenderingControls rendering={rendering} usingCanvas={usingCanvas} onApply={applyRendering} />
+        <EncodingControls encoding={encoding} onChange={applyEncodingSettings} />
+        <FilterControls filters={filters} onChange={setFilters} />
+        <ThemeControls theme={theme} onChange={applyTheme} />
+        <ExportControls disabled={items.length === 0} onExport={exportView} />
+        <AlertRulesControls rules={alertRules} onApply={applyAlertRules} />
+        <DemoControls running={demoRunning} rates={demoRates} onStart={startDemo} onStop={stopDemo} />
+        <SessionControls
+          recording={recording}
+          recordedCount={recordedCount}
+          recordingFull={!recording && recorderRef.current.isFull()}
+          onStartRecording={startRecording}
+          onStopRecording={stopRecording}
+          onDownload={downloadRecording}
+          replay={replay}
+          replayError={replayError}
+          onLoadReplay={loadReplay}
+          onPlay={() => replayerRef.current.play()}
+          onPause={() => replayerRef.current.pause()}
+          onSpeedChange={(speed) => replayerRef.current.setSpeed(speed)}
+          onSeek={(position) => replayerRef.current.seek(position)}
+          onExitReplay={exitReplay}
+        />
         <div className="item-count">
           Items: {items.length}
         </div>
       </div>
-      <svg
-        ref={svgRef}
-        className="visualizer-svg"
-        width="100%"
-        height="100%"
-      />
+      <HealthStrip health={health} settings={healthSettings} chainLabel={chainLabel} onApply={applyHealthSettings} />
+      <div className="visualizer-body">
+        <canvas ref={canvasRef} className="visualizer-canvas" />
+        <svg
+          ref={svgRef}
+          className="visualizer-svg"
+          width="100%"
+          height="100%"
+          tabIndex={0}
+          role="application"
+          aria-label="Block graph"
+          aria-describedby={`${graphId}-help`}
+          aria-activedescendant={focusedId && !usingCanvas ? itemElementId(graphId, { id: focusedId }) : undefined}
+          onKeyDown={handleGraphKeyDown}
+        />
+        <p id={`${graphId}-help`} className="sr-only">{KeyboardHelp}</p>
+        <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+        <canvas ref={minimapCanvasRef} className="minimap" />
+        <ReorgLog reorgs={reorgs} chainLabel={chainLabel} onClear={() => setReorgs([])} />
+        <AlertList
+          alerts={alerts}
+          onAcknowledge={acknowledgeAlert}
+          onAcknowledgeAll={acknowledgeAllAlerts}
+          onClear={() => setAlerts([])}
+        />
+        <WorkshareAnalytics items={items} heads={heads} zoneLabel={zoneLabel} colors={config.colors} />
+        {selectedBlock && (
+          <BlockDetails
+            selection={selectedBlock}
+            fetchBlock={fetchBlockDetails}
+            onHashClick={focusBlock}
+            pinned={pinned.has(selectedBlock.hash)}
+            onTogglePin={() => togglePin(selectedBlock.hash)}
+            onClose={() => setSelectedBlock(null)}
+          />
+        )}
+      </div>
     </div>
   );
 };
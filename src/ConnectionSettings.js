@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { emptyEndpoint } from './connectionConfig';
+
+const sameEndpoints = (a, b) => a.length === b.length &&
+  a.every((e, i) => e.wsUrl === b[i].wsUrl && e.httpUrl === b[i].httpUrl);
+
+const ConnectionSettings = ({ settings, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [rows, setRows] = useState(settings.endpoints);
+
+  // Keep inputs in sync if settings change from outside
+  useEffect(() => {
+    setRows(settings.endpoints);
+  }, [settings.endpoints]);
+
+  const trimmedRows = rows
+    .map(row => ({ wsUrl: row.wsUrl.trim(), httpUrl: row.httpUrl.trim() }))
+    .filter(row => row.wsUrl || row.httpUrl);
+  const isDirty = !sameEndpoints(trimmedRows, settings.endpoints);
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => (prev.length > 1 ? prev.filter((_, i) => i !== index) : [emptyEndpoint()]));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply({ endpoints: trimmedRows.length > 0 ? trimmedRows : [emptyEndpoint()] });
+    setOpen(false);
+  };
+
+  const configuredCount = settings.endpoints.filter(e => e.wsUrl).length;
+
+  return (
+    <div className="connection-settings">
+      <button type="button" className="connection-toggle" onClick={() => setOpen(o => !o)}>
+        Endpoints ({configuredCount}) {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <form className="connection-panel" onSubmit={handleSubmit}>
+          {rows.map((row, index) => (
+            <div className="endpoint-row" key={index}>
+              <span className="endpoint-index">{index + 1}</span>
+              <label>
+                WS
+                <input
+                  type="text"
+                  value={row.wsUrl}
+                  placeholder="ws://localhost:8611"
+                  onChange={(e) => updateRow(index, 'wsUrl', e.target.value)}
+                  spellCheck={false}
+                />
+              </label>
+              <label>
+                HTTP
+                <input
+                  type="text"
+                  value={row.httpUrl}
+                  placeholder="http://localhost:9200"
+                  onChange={(e) => updateRow(index, 'httpUrl', e.target.value)}
+                  spellCheck={false}
+                />
+              </label>
+              <button type="button" className="endpoint-remove" onClick={() => removeRow(index)} title="Remove zone">
+                ×
+              </button>
+            </div>
+          ))}
+          <div className="connection-actions">
+            <button type="button" onClick={() => setRows(prev => [...prev, emptyEndpoint()])}>
+              + Add zone
+            </button>
+            <button type="submit" disabled={!isDirty}>
+              Connect
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionSettings;
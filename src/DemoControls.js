@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+
+// Tunable rates, as [key, label, step]; fractions are entered as-is (0.1 = 10%)
+const RateFields = [
+  ['blockInterval', 'Block interval (ms)', 100],
+  ['workshares', 'Workshares per block', 0.5],
+  ['transactions', 'Transactions per block', 1],
+  ['etxs', 'ETXs per block', 0.1],
+  ['regionBlocks', 'Region block rate', 0.05],
+  ['primeBlocks', 'Prime share of region blocks', 0.05],
+  ['forks', 'Fork rate', 0.01],
+  ['reorgs', 'Reorg share of forks', 0.05]
+];
+
+const DemoControls = ({ running, rates, onStart, onStop }) => {
+  const [open, setOpen] = useState(false);
+  const [values, setValues] = useState(() => Object.fromEntries(RateFields.map(([key]) => [key, String(rates[key])])));
+
+  // Keep inputs in sync if the rates change from outside
+  useEffect(() => {
+    setValues(Object.fromEntries(RateFields.map(([key]) => [key, String(rates[key])])));
+  }, [rates]);
+
+  const parsed = Object.fromEntries(RateFields.map(([key]) => [key, parseFloat(values[key])]));
+  const isValid = parsed.blockInterval >= 100 && RateFields.every(([key]) => parsed[key] >= 0);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onStart(parsed);
+    setOpen(false);
+  };
+
+  return (
+    <div className="demo-controls">
+      <button type="button" className="demo-toggle" onClick={() => setOpen(o => !o)}>
+        Demo {running ? '(running)' : ''} {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <form className="demo-panel" onSubmit={handleSubmit}>
+          {RateFields.map(([key, label, step]) => (
+            <label key={key}>
+              {label}
+              <input
+                type="number"
+                min={0}
+                step={step}
+                value={values[key]}
+                onChange={(e) => setValues(prev => ({ ...prev, [key]: e.target.value }))}
+              />
+            </label>
+          ))}
+          <div className="demo-actions">
+            <button type="button" onClick={() => { onStop(); setOpen(false); }} disabled={!running}>
+              Stop
+            </button>
+            <button type="submit" disabled={!isValid}>
+              {running ? 'Restart' : 'Start'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DemoControls;
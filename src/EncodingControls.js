@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { EncodingMetrics, EncodingStyles, SizeModes } from './encoding';
+
+// Changes apply right away so the effect on the graph is visible while choosing
+const EncodingControls = ({ encoding, onChange }) => {
+  const [open, setOpen] = useState(false);
+
+  const summary = encoding.metric === 'none' ? 'Encoding' : EncodingMetrics[encoding.metric];
+
+  return (
+    <div className="encoding-controls">
+      <button type="button" className="encoding-toggle" onClick={() => setOpen(o => !o)}>
+        {summary} {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <div className="encoding-panel">
+          <label>
+            Show
+            <select value={encoding.metric} onChange={(e) => onChange({ ...encoding, metric: e.target.value })}>
+              {Object.entries(EncodingMetrics).map(([metric, label]) => (
+                <option key={metric} value={metric}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {Object.entries(EncodingStyles).map(([style, label]) => (
+            <label key={style}>
+              <input
+                type="radio"
+                checked={encoding.style === style}
+                disabled={encoding.metric === 'none'}
+                onChange={() => onChange({ ...encoding, style })}
+              />
+              {label}
+            </label>
+          ))}
+          <div className="encoding-size">Size blocks by</div>
+          {Object.entries(SizeModes).map(([sizeBy, label]) => (
+            <label key={sizeBy}>
+              <input type="radio" checked={encoding.sizeBy === sizeBy} onChange={() => onChange({ ...encoding, sizeBy })} />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EncodingControls;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+
+const PngScales = [1, 2, 4];
+
+const ExportControls = ({ disabled, onExport }) => {
+  const [open, setOpen] = useState(false);
+  const [area, setArea] = useState('view');
+  const [scale, setScale] = useState(2);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runExport = async (format) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onExport(format, { area, scale });
+    } catch (err) {
+      console.error(`Failed to export ${format}:`, err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-controls">
+      <button type="button" className="export-toggle" onClick={() => setOpen(o => !o)} disabled={disabled}>
+        Export {open ? '▴' : '▾'}
+      </button>
+      {open && !disabled && (
+        <div className="export-panel">
+          <label>
+            <input type="radio" checked={area === 'view'} onChange={() => setArea('view')} />
+            Current view
+          </label>
+          <label>
+            <input type="radio" checked={area === 'graph'} onChange={() => setArea('graph')} />
+            Whole graph
+          </label>
+          <label>
+            PNG resolution
+            <select value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+              {PngScales.map(s => (
+                <option key={s} value={s}>{s}×</option>
+              ))}
+            </select>
+          </label>
+          <div className="export-actions">
+            <button type="button" disabled={busy} onClick={() => runExport('svg')}>SVG</button>
+            <button type="button" disabled={busy} onClick={() => runExport('png')}>PNG</button>
+            <button type="button" disabled={busy} onClick={() => runExport('json')}>JSON</button>
+            <button type="button" disabled={busy} onClick={() => runExport('dot')}>DOT</button>
+          </div>
+          {error && <div className="export-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportControls;
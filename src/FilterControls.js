@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { FilterableTypes, DefaultFilters, filtersActive } from './viewFilters';
+
+// Changes apply right away, like the legend entries that toggle the same types
+const FilterControls = ({ filters, onChange }) => {
+  const [open, setOpen] = useState(false);
+
+  const toggleType = (type) => {
+    const hidden = filters.hidden.includes(type)
+      ? filters.hidden.filter(t => t !== type)
+      : [...filters.hidden, type];
+    onChange({ ...filters, hidden });
+  };
+
+  const active = filtersActive(filters);
+
+  return (
+    <div className="filter-controls">
+      <button type="button" className={`filter-toggle ${active ? 'active' : ''}`} onClick={() => setOpen(o => !o)}>
+        {active ? 'Filtered' : 'Filters'} {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <div className="filter-panel">
+          {Object.entries(FilterableTypes).map(([type, label]) => (
+            <label key={type}>
+              <input type="checkbox" checked={!filters.hidden.includes(type)} onChange={() => toggleType(type)} />
+              {label}
+            </label>
+          ))}
+          <label title="Hide blocks with fewer workshares pointing at them">
+            Min workshares
+            <input
+              type="number"
+              min="0"
+              value={filters.minWorkshares}
+              onChange={(e) => onChange({ ...filters, minWorkshares: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+            />
+          </label>
+          <label title="Show only orphaned blocks and uncles">
+            <input
+              type="checkbox"
+              checked={filters.nonCanonicalOnly}
+              onChange={(e) => onChange({ ...filters, nonCanonicalOnly: e.target.checked })}
+            />
+            Only non-canonical
+          </label>
+          <div className="filter-actions">
+            <button type="button" disabled={!active} onClick={() => onChange(DefaultFilters)}>Show all</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterControls;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { HealthMetrics, gradeMetric, formatMetric } from './healthMetrics';
+
+const IntervalLevels = { primeInterval: 'primeBlock', regionInterval: 'regionBlock', zoneInterval: 'block' };
+
+// Thresholds are edited in display units (percent for ratios)
+const toInput = (metric, value) => {
+  if (value === null || value === undefined) return '';
+  return String(metric.unit === '%' ? value * 100 : value);
+};
+const fromInput = (metric, text) => {
+  const value = parseFloat(text);
+  if (Number.isNaN(value)) return null;
+  return metric.unit === '%' ? value / 100 : value;
+};
+
+const thresholdInputs = (settings) => Object.fromEntries(HealthMetrics.map(metric => [metric.key, {
+  warn: toInput(metric, settings.thresholds[metric.key].warn),
+  alert: toInput(metric, settings.thresholds[metric.key].alert)
+}]));
+
+const HealthStrip = ({ health, settings, chainLabel, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [windowSize, setWindowSize] = useState(String(settings.windowSize));
+  const [inputs, setInputs] = useState(() => thresholdInputs(settings));
+
+  // Keep inputs in sync if the settings change from outside
+  useEffect(() => {
+    setWindowSize(String(settings.windowSize));
+    setInputs(thresholdInputs(settings));
+  }, [settings]);
+
+  const blocks = parseInt(windowSize, 10);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply({
+      windowSize: blocks > 1 ? blocks : settings.windowSize,
+      thresholds: Object.fromEntries(HealthMetrics.map(metric => [metric.key, {
+        warn: fromInput(metric, inputs[metric.key].warn),
+        alert: fromInput(metric, inputs[metric.key].alert)
+      }]))
+    });
+    setOpen(false);
+  };
+
+  // Per-chain block times behind a level's average
+  const breakdown = (key) => {
+    const level = IntervalLevels[key];
+    if (!level) return undefined;
+    return Object.entries(health.perChain)
+      .filter(([chain]) => chain.split(':')[0] === level)
+      .map(([chain, value]) => `${chainLabel(chain)}: ${value === null ? '–' : `${value.toFixed(1)} s`}`)
+      .join('\n') || undefined;
+  };
+
+  return (
+    <div className="health-strip">
+      {HealthMetrics.map(metric => {
+        const value = health.values[metric.key];
+        return (
+          <div key={metric.key} className={`health-metric health-${gradeMetric(metric, value, settings.thresholds[metric.key])}`} title={breakdown(metric.key)}>
+            <span className="health-label">{metric.label}</span>
+            <span className="health-value">{formatMetric(metric, value)}</span>
+          </div>
+        );
+      })}
+      <span className="health-window">last {settings.windowSize} blocks</span>
+      <div className="health-controls">
+        <button type="button" className="health-toggle" onClick={() => setOpen(o => !o)}>
+          Thresholds {open ? '▴' : '▾'}
+        </button>
+        {open && (
+          <form className="health-panel" onSubmit={handleSubmit}>
+            <label>
+              Window
+              <input type="number" min={2} value={windowSize} onChange={(e) => setWindowSize(e.target.value)} />
+              blocks per chain
+            </label>
+            <table>
+              <thead>
+                <tr>
+                  <th />
+                  <th>Warn</th>
+                  <th>Alert</th>
+                </tr>
+              </thead>
+              <tbody>
+                {HealthMetrics.map(metric => (
+                  <tr key={metric.key}>
+                    <td>
+                      {metric.label} ({metric.unit}{metric.higherIsWorse ? ', at or above' : ', at or below'})
+                    </td>
+                    {['warn', 'alert'].map(level => (
+                      <td key={level}>
+                        <input
+                          type="number"
+                          step="any"
+                          placeholder="off"
+                          value={inputs[metric.key][level]}
+                          onChange={(e) => setInputs(prev => ({ ...prev, [metric.key]: { ...prev[metric.key], [level]: e.target.value } }))}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="health-actions">
+              <button type="submit" disabled={!(blocks > 1)}>
+                Apply
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HealthStrip;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { RenderModes } from './rendering';
+
+const ModeLabels = { auto: 'Auto', svg: 'SVG', canvas: 'Canvas' };
+
+const RenderingControls = ({ rendering, usingCanvas, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState(rendering.mode);
+  const [threshold, setThreshold] = useState(String(rendering.canvasThreshold));
+
+  // Keep inputs in sync if the settings change from outside
+  useEffect(() => {
+    setMode(rendering.mode);
+    setThreshold(String(rendering.canvasThreshold));
+  }, [rendering]);
+
+  const items = parseInt(threshold, 10);
+  const isValid = mode !== 'auto' || items > 0;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply({ mode, canvasThreshold: items > 0 ? items : rendering.canvasThreshold });
+    setOpen(false);
+  };
+
+  return (
+    <div className="rendering-controls">
+      <button type="button" className="rendering-toggle" onClick={() => setOpen(o => !o)}>
+        {ModeLabels[rendering.mode]} ({usingCanvas ? 'Canvas' : 'SVG'}) {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <form className="rendering-panel" onSubmit={handleSubmit}>
+          {RenderModes.map(m => (
+            <label key={m}>
+              <input type="radio" checked={mode === m} onChange={() => setMode(m)} />
+              {ModeLabels[m]}
+              {m === 'auto' && (
+                <>
+                  : Canvas above
+                  <input
+                    type="number"
+                    min={1}
+                    value={threshold}
+                    onChange={(e) => setThreshold(e.target.value)}
+                    disabled={mode !== 'auto'}
+                  />
+                  items
+                </>
+              )}
+            </label>
+          ))}
+          <div className="rendering-actions">
+            <button type="submit" disabled={!isValid}>
+              Apply
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default RenderingControls;
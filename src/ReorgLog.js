@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+const ReorgLog = ({ reorgs, chainLabel, onClear }) => {
+  const [collapsed, setCollapsed] = useState(false);
+
+  return (
+    <div className="reorg-log">
+      <div className="reorg-log-header">
+        <button type="button" className="reorg-log-toggle" onClick={() => setCollapsed(c => !c)}>
+          Reorgs ({reorgs.length}) {collapsed ? '▴' : '▾'}
+        </button>
+        {reorgs.length > 0 && !collapsed && (
+          <button type="button" className="reorg-log-clear" onClick={onClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      {!collapsed && (
+        <ul className="reorg-log-list">
+          {reorgs.length === 0 && <li className="reorg-log-empty">No reorgs seen</li>}
+          {reorgs.slice().reverse().map(reorg => (
+            <li key={reorg.id}>
+              <span className="reorg-time">{formatTime(reorg.time)}</span>
+              <span className="reorg-chain">{chainLabel(reorg.chain)}</span>
+              <span className="reorg-depth">depth {reorg.depth ?? '?'}</span>
+              <span className="reorg-tips" title={`${reorg.oldTip} → ${reorg.newTip}`}>
+                {reorg.oldTip.slice(0, 8)} → {reorg.newTip.slice(0, 8)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReorgLog;
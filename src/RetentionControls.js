@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+
+const RetentionControls = ({ retention, pinnedCount, onApply, onClearPins }) => {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState(retention.mode);
+  const [maxBlocks, setMaxBlocks] = useState(String(retention.maxBlocks));
+  const [maxAgeMinutes, setMaxAgeMinutes] = useState(String(retention.maxAgeMinutes));
+
+  // Keep inputs in sync if the policy changes from outside
+  useEffect(() => {
+    setMode(retention.mode);
+    setMaxBlocks(String(retention.maxBlocks));
+    setMaxAgeMinutes(String(retention.maxAgeMinutes));
+  }, [retention]);
+
+  const blocks = parseInt(maxBlocks, 10);
+  const minutes = parseInt(maxAgeMinutes, 10);
+  const isValid = mode === 'count' ? blocks > 0 : minutes > 0;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply({
+      mode,
+      maxBlocks: blocks > 0 ? blocks : retention.maxBlocks,
+      maxAgeMinutes: minutes > 0 ? minutes : retention.maxAgeMinutes
+    });
+    setOpen(false);
+  };
+
+  const summary = retention.mode === 'count' ? `${retention.maxBlocks} blocks` : `${retention.maxAgeMinutes} min`;
+
+  return (
+    <div className="retention-controls">
+      <button type="button" className="retention-toggle" onClick={() => setOpen(o => !o)}>
+        Keep {summary} {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <form className="retention-panel" onSubmit={handleSubmit}>
+          <label>
+            <input type="radio" checked={mode === 'count'} onChange={() => setMode('count')} />
+            Last
+            <input
+              type="number"
+              min={1}
+              value={maxBlocks}
+              onChange={(e) => setMaxBlocks(e.target.value)}
+              disabled={mode !== 'count'}
+            />
+            blocks per zone
+          </label>
+          <label>
+            <input type="radio" checked={mode === 'age'} onChange={() => setMode('age')} />
+            Last
+            <input
+              type="number"
+              min={1}
+              value={maxAgeMinutes}
+              onChange={(e) => setMaxAgeMinutes(e.target.value)}
+              disabled={mode !== 'age'}
+            />
+            minutes
+          </label>
+          <div className="retention-actions">
+            <button type="button" onClick={onClearPins} disabled={pinnedCount === 0}>
+              Unpin all ({pinnedCount})
+            </button>
+            <button type="submit" disabled={!isValid}>
+              Apply
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default RetentionControls;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+
+const SearchBox = ({ onSearch }) => {
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!query.trim() || busy) return;
+    setBusy(true);
+    setStatus({ message: 'Searching…' });
+    try {
+      setStatus(await onSearch(query));
+    } catch (error) {
+      setStatus({ message: error.message, error: true });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="search-box" onSubmit={handleSubmit}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setStatus(null);
+        }}
+        placeholder="Hash, prefix or height"
+        spellCheck={false}
+      />
+      <button type="submit" disabled={busy || !query.trim()}>Go</button>
+      {status && (
+        <span className={`search-status ${status.error ? 'error' : ''}`} title={status.message}>
+          {status.message}
+        </span>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,92 @@
+import React, { useRef } from 'react';
+import { ReplaySpeeds } from './sessionLog';
+
+const formatTime = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const SessionControls = ({
+  recording,
+  recordedCount,
+  recordingFull,
+  onStartRecording,
+  onStopRecording,
+  onDownload,
+  replay,
+  replayError,
+  onLoadReplay,
+  onPlay,
+  onPause,
+  onSpeedChange,
+  onSeek,
+  onExitReplay
+}) => {
+  const fileInputRef = useRef(null);
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) onLoadReplay(file);
+  };
+
+  if (replay) {
+    return (
+      <div className="session-controls replaying">
+        <span className="session-label" title={replay.name}>Replay</span>
+        <button type="button" onClick={replay.playing ? onPause : onPlay}>
+          {replay.playing ? 'Pause' : 'Play'}
+        </button>
+        <input
+          type="range"
+          className="session-scrub"
+          min={0}
+          max={replay.duration}
+          step={100}
+          value={replay.position}
+          onChange={(e) => onSeek(Number(e.target.value))}
+        />
+        <span className="session-time">
+          {formatTime(replay.position)} / {formatTime(replay.duration)}
+        </span>
+        <select value={replay.speed} onChange={(e) => onSpeedChange(Number(e.target.value))}>
+          {ReplaySpeeds.map(speed => (
+            <option key={speed} value={speed}>{speed}×</option>
+          ))}
+        </select>
+        <button type="button" onClick={onExitReplay}>Exit replay</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="session-controls">
+      {recording ? (
+        <button type="button" className="session-record active" onClick={onStopRecording}>
+          ■ Stop ({recordedCount})
+        </button>
+      ) : (
+        <button type="button" className="session-record" onClick={onStartRecording}>
+          ● Record
+        </button>
+      )}
+      {!recording && recordedCount > 0 && (
+        <button type="button" onClick={onDownload} title={recordingFull ? 'Recording stopped at its size limit' : undefined}>
+          Download ({recordedCount}{recordingFull ? ', size limit reached' : ''})
+        </button>
+      )}
+      <button type="button" onClick={() => fileInputRef.current.click()}>Replay file…</button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ndjson,.jsonl,application/x-ndjson"
+        onChange={handleFile}
+        hidden
+      />
+      {replayError && <span className="session-error" title={replayError}>Replay failed: {replayError}</span>}
+    </div>
+  );
+};
+
+export default SessionControls;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { Themes } from './themes';
+
+const ThemeControls = ({ theme, onChange }) => (
+  <label className="theme-controls" title="Colors of the graph and the controls">
+    Theme
+    <select value={theme} onChange={(e) => onChange(e.target.value)}>
+      {Object.entries(Themes).map(([name, { label }]) => (
+        <option key={name} value={name}>{label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+export default ThemeControls;
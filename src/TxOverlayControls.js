@@ -0,0 +1,26 @@
+import React from 'react';
+
+const TxOverlayControls = ({ overlay, onChange }) => (
+  <div className="tx-overlay-controls">
+    <label title="Tx count and gas fill on zone blocks, ETX links between zones">
+      <input
+        type="checkbox"
+        checked={overlay.enabled}
+        onChange={(e) => onChange({ ...overlay, enabled: e.target.checked })}
+      />
+      Txs
+    </label>
+    {overlay.enabled && (
+      <input
+        type="text"
+        className="tx-overlay-address"
+        placeholder="Filter ETXs by address"
+        value={overlay.address}
+        onChange={(e) => onChange({ ...overlay, address: e.target.value })}
+        spellCheck={false}
+      />
+    )}
+  </div>
+);
+
+export default TxOverlayControls;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import { computeWorkshareStats, RollingWindows, DefaultRollingWindow, InclusionDepth } from './workshareStats';
+
+const ChartWidth = 360;
+const ChartHeight = 64;
+const ChartMargin = { top: 6, right: 6, bottom: 14, left: 28 };
+
+const formatNumber = (value, digits = 2) => (value === null || value === undefined ? '–' : value.toFixed(digits));
+const percent = (part, whole) => (whole === 0 ? '–' : `${((part / whole) * 100).toFixed(1)}%`);
+
+// Per-block bars with the rolling average drawn over them
+const SeriesChart = ({ series, value, average, color, lineColor, label }) => {
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    if (series.length === 0) return;
+
+    const innerWidth = ChartWidth - ChartMargin.left - ChartMargin.right;
+    const innerHeight = ChartHeight - ChartMargin.top - ChartMargin.bottom;
+    const x = d3.scaleBand().domain(series.map(d => d.number)).range([0, innerWidth]).padding(0.15);
+    const y = d3.scaleLinear()
+      .domain([0, Math.max(1, d3.max(series, d => Math.max(d[value] ?? 0, d[average] ?? 0)))])
+      .nice()
+      .range([innerHeight, 0]);
+
+    const group = svg.append('g').attr('transform', `translate(${ChartMargin.left}, ${ChartMargin.top})`);
+
+    group.selectAll('rect')
+      .data(series.filter(d => d[value] !== null))
+      .enter()
+      .append('rect')
+      .attr('x', d => x(d.number))
+      .attr('y', d => y(d[value]))
+      .attr('width', x.bandwidth())
+      .attr('height', d => innerHeight - y(d[value]))
+      .attr('fill', color)
+      .attr('opacity', 0.6)
+      .append('title')
+      .text(d => `#${d.number}: ${formatNumber(d[value])}`);
+
+    group.append('path')
+      .datum(series.filter(d => d[average] !== null))
+      .attr('fill', 'none')
+      .attr('stroke', lineColor)
+      .attr('stroke-width', 1.5)
+      .attr('d', d3.line().x(d => x(d.number) + x.bandwidth() / 2).y(d => y(d[average])));
+
+    group.append('g')
+      .attr('class', 'chart-axis')
+      .call(d3.axisLeft(y).ticks(3).tickSize(3));
+
+    const first = series[0].number;
+    const last = series[series.length - 1].number;
+    group.append('text')
+      .attr('class', 'chart-range')
+      .attr('x', 0)
+      .attr('y', innerHeight + 11)
+      .text(`#${first}`);
+    group.append('text')
+      .attr('class', 'chart-range')
+      .attr('x', innerWidth)
+      .attr('y', innerHeight + 11)
+      .attr('text-anchor', 'end')
+      .text(`#${last}`);
+  }, [series, value, average, color, lineColor]);
+
+  return (
+    <div className="analytics-chart">
+      <div className="analytics-chart-label">{label}</div>
+      <svg ref={svgRef} width={ChartWidth} height={ChartHeight} />
+    </div>
+  );
+};
+
+const WorkshareAnalytics = ({ items, heads, zoneLabel, colors }) => {
+  const [collapsed, setCollapsed] = useState(true);
+  const [windowSize, setWindowSize] = useState(DefaultRollingWindow);
+  const [zone, setZone] = useState(null);
+
+  const zones = Object.keys(heads)
+    .filter(key => key.startsWith('block:'))
+    .map(key => key.slice('block:'.length))
+    .sort((a, b) => Number(a) - Number(b));
+  const activeZone = zones.includes(zone) ? zone : zones[0];
+  const headHash = activeZone !== undefined ? heads[`block:${activeZone}`] : null;
+
+  // Only recompute while the panel is open
+  const stats = useMemo(() => {
+    if (collapsed || !headHash) return null;
+    return computeWorkshareStats({ items, zone: activeZone, headHash, windowSize });
+  }, [collapsed, items, activeZone, headHash, windowSize]);
+
+  // Chart the rolling window plus as much history again, so the average has context
+  const series = useMemo(() => (stats ? stats.series.slice(-windowSize * 2) : []), [stats, windowSize]);
+
+  return (
+    <div className="workshare-analytics">
+      <div className="analytics-header">
+        <button type="button" className="analytics-toggle" onClick={() => setCollapsed(c => !c)}>
+          Workshare analytics {collapsed ? '▴' : '▾'}
+        </button>
+        {!collapsed && (
+          <div className="analytics-options">
+            <select value={activeZone ?? ''} onChange={(e) => setZone(e.target.value)} disabled={zones.length === 0}>
+              {zones.map(z => (
+                <option key={z} value={z}>{zoneLabel(z)}</option>
+              ))}
+            </select>
+            <select value={windowSize} onChange={(e) => setWindowSize(Number(e.target.value))} title="Rolling window">
+              {RollingWindows.map(n => (
+                <option key={n} value={n}>{n} blocks</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+      {!collapsed && !stats && <div className="analytics-empty">No zone head yet</div>}
+      {!collapsed && stats && (
+        <div className="analytics-body">
+          <dl className="analytics-summary">
+            <dt>Workshares / block</dt>
+            <dd>{formatNumber(stats.summary.perBlock)} <span>over {stats.summary.blocks} blocks</span></dd>
+            <dt>Inclusion delay</dt>
+            <dd>
+              {formatNumber(stats.summary.delay)} blocks <span>max {stats.summary.maxDelay ?? '–'}</span>
+            </dd>
+            <dt>Seen live</dt>
+            <dd>{stats.live.seen}</dd>
+            <dt>Included</dt>
+            <dd>{stats.live.included} <span>{percent(stats.live.included, stats.live.seen)}</span></dd>
+            <dt>Never included</dt>
+            <dd>
+              {stats.live.missed} <span>{percent(stats.live.missed, stats.live.seen)}</span>
+            </dd>
+            <dt title={`Seen within the last ${InclusionDepth} blocks`}>Pending</dt>
+            <dd>{stats.live.pending}</dd>
+          </dl>
+          <SeriesChart
+            series={series}
+            value="included"
+            average="rollingIncluded"
+            color={colors.workshare}
+            lineColor={colors.selected}
+            label={`Workshares per block (avg of ${windowSize})`}
+          />
+          <SeriesChart
+            series={series}
+            value="delay"
+            average="rollingDelay"
+            color={colors.arrow}
+            lineColor={colors.selected}
+            label={`Inclusion delay in blocks (avg of ${windowSize})`}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkshareAnalytics;
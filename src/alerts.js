@@ -0,0 +1,155 @@
+// Alert rules over the ingested chain and the node connections
+//
+// Condition rules (stale zone, uncle rate, disconnected node, parent fetch failures)
+// fire once when their condition starts holding and re-arm after it clears. The reorg
+// rule fires for every reorg deeper than its limit. Rules, and whether each one sends a
+// browser notification or plays a sound, are edited in the UI and kept in localStorage.
+
+import { loadSetting, saveSetting } from './settings';
+
+const STORAGE_KEY = 'chainVisualizer.alerts';
+
+// Parameters are listed as [name, label, unit]
+export const RuleTypes = {
+  staleZone: { label: 'No new zone block', params: [['seconds', 'for longer than', 's']] },
+  deepReorg: { label: 'Reorg', params: [['depth', 'deeper than', 'blocks']] },
+  uncleRate: { label: 'Uncle rate', params: [['percent', 'above', '%'], ['blocks', 'over the last', 'blocks']] },
+  disconnected: { label: 'Node disconnected', params: [['seconds', 'for longer than', 's']] },
+  fetchFailures: { label: 'Parent fetch failures', params: [['count', 'at least', ''], ['minutes', 'within', 'min']] }
+};
+
+const DefaultParams = {
+  staleZone: { seconds: 60 },
+  deepReorg: { depth: 2 },
+  uncleRate: { percent: 10, blocks: 50 },
+  disconnected: { seconds: 30 },
+  fetchFailures: { count: 5, minutes: 5 }
+};
+
+export const MaxAlerts = 200;
+
+let nextRuleId = 1;
+
+export const createRule = (type) => ({
+  id: `${type}-${Date.now().toString(36)}-${nextRuleId++}`,
+  type,
+  enabled: true,
+  params: { ...DefaultParams[type] },
+  notify: true,
+  sound: false
+});
+
+export const DefaultAlertRules = Object.keys(RuleTypes).map(type => ({ ...createRule(type), id: type }));
+
+export const loadAlertRules = () => {
+  const stored = loadSetting(STORAGE_KEY, null);
+  if (!Array.isArray(stored)) return DefaultAlertRules;
+  return stored
+    .filter(rule => RuleTypes[rule.type])
+    .map(rule => ({ ...createRule(rule.type), ...rule, params: { ...DefaultParams[rule.type], ...rule.params } }));
+};
+
+export const saveAlertRules = (rules) => saveSetting(STORAGE_KEY, rules);
+
+// Conditions that currently hold for the periodic rules, as { key, rule, message }.
+// zones: [{ zone, label, lastBlockAt, disconnectedSince }], with either time null when unknown
+export const checkTimedRules = (rules, { now, zones, fetchFailures }) => {
+  const conditions = [];
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    if (rule.type === 'staleZone') {
+      zones.forEach(({ zone, label, lastBlockAt }) => {
+        if (lastBlockAt === null) return;
+        const seconds = Math.floor((now - lastBlockAt) / 1000);
+        if (seconds > rule.params.seconds) {
+          conditions.push({ key: `${rule.id}:${zone}`, rule, message: `${label}: no new block for ${seconds}s` });
+        }
+      });
+    } else if (rule.type === 'disconnected') {
+      zones.forEach(({ zone, label, disconnectedSince }) => {
+        if (disconnectedSince === null) return;
+        const seconds = Math.floor((now - disconnectedSince) / 1000);
+        if (seconds > rule.params.seconds) {
+          conditions.push({ key: `${rule.id}:${zone}`, rule, message: `${label}: node disconnected for ${seconds}s` });
+        }
+      });
+    } else if (rule.type === 'fetchFailures') {
+      const recent = fetchFailures.filter(at => now - at <= rule.params.minutes * 60 * 1000).length;
+      if (recent >= rule.params.count) {
+        conditions.push({ key: rule.id, rule, message: `${recent} parent fetches failed in the last ${rule.params.minutes} min` });
+      }
+    }
+  });
+  return conditions;
+};
+
+// Uncle rate conditions; uncleRate(blocks) gives the rate over that many canonical blocks, or null
+export const checkUncleRules = (rules, uncleRate) => {
+  const conditions = [];
+  rules.filter(rule => rule.enabled && rule.type === 'uncleRate').forEach(rule => {
+    const rate = uncleRate(rule.params.blocks);
+    if (rate !== null && rate * 100 > rule.params.percent) {
+      conditions.push({
+        key: rule.id,
+        rule,
+        message: `Uncle rate ${(rate * 100).toFixed(1)}% over the last ${rule.params.blocks} blocks`
+      });
+    }
+  });
+  return conditions;
+};
+
+// Alerts for a newly detected reorg
+export const checkReorg = (rules, reorg, chainLabel) => rules
+  .filter(rule => rule.enabled && rule.type === 'deepReorg' && reorg.depth !== null && reorg.depth > rule.params.depth)
+  .map(rule => ({ key: `${rule.id}:${reorg.id}`, rule, message: `${chainLabel(reorg.chain)}: reorg of depth ${reorg.depth}` }));
+
+// Tracks which conditions hold, per group, so each fires once until it clears
+export const createAlertTracker = () => {
+  const active = new Map(); // group -> Set of condition keys
+
+  return {
+    // Conditions of the group that just started holding
+    update(group, conditions) {
+      const previous = active.get(group) || new Set();
+      active.set(group, new Set(conditions.map(condition => condition.key)));
+      return conditions.filter(condition => !previous.has(condition.key));
+    },
+
+    reset() {
+      active.clear();
+    }
+  };
+};
+
+export const showNotification = (message) => {
+  if (!('Notification' in window) || window.Notification.permission !== 'granted') return;
+  try {
+    new window.Notification('Chain alert', { body: message, tag: message });
+  } catch (error) {
+    console.error('Failed to show notification:', error);
+  }
+};
+
+let audioContext = null;
+
+// Short two-tone beep, no audio assets needed
+export const playAlertSound = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    if (!audioContext) audioContext = new AudioContext();
+    const start = audioContext.currentTime;
+    [880, 660].forEach((frequency, index) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, start + index * 0.18);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + index * 0.18 + 0.16);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start + index * 0.18);
+      oscillator.stop(start + index * 0.18 + 0.16);
+    });
+  } catch (error) {
+    console.error('Failed to play alert sound:', error);
+  }
+};
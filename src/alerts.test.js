@@ -0,0 +1,78 @@
+import { createRule, checkTimedRules, checkUncleRules, checkReorg, createAlertTracker, loadAlertRules, saveAlertRules, DefaultAlertRules } from './alerts';
+
+const now = 1700000000000;
+const zone = (overrides) => ({ zone: '0', label: 'Zone 0', lastBlockAt: null, disconnectedSince: null, ...overrides });
+
+describe('checkTimedRules', () => {
+  it('flags a zone once it has gone longer than the limit without a block', () => {
+    const rule = createRule('staleZone');
+    const check = (secondsAgo) => checkTimedRules([rule], { now, zones: [zone({ lastBlockAt: now - secondsAgo * 1000 })], fetchFailures: [] });
+
+    expect(check(60)).toEqual([]);
+    expect(check(61)).toEqual([{ key: `${rule.id}:0`, rule, message: 'Zone 0: no new block for 61s' }]);
+  });
+
+  it('counts parent fetch failures within the window', () => {
+    const rule = { ...createRule('fetchFailures'), params: { count: 2, minutes: 1 } };
+    const check = (fetchFailures) => checkTimedRules([rule], { now, zones: [], fetchFailures });
+
+    expect(check([now - 61000, now - 1000])).toEqual([]);
+    expect(check([now - 30000, now - 1000])).toHaveLength(1);
+  });
+
+  it('skips disabled rules', () => {
+    const rule = { ...createRule('disconnected'), enabled: false };
+    expect(checkTimedRules([rule], { now, zones: [zone({ disconnectedSince: now - 600000 })], fetchFailures: [] })).toEqual([]);
+  });
+});
+
+describe('checkUncleRules and checkReorg', () => {
+  it('fires above the uncle rate threshold over the rule window', () => {
+    const rule = createRule('uncleRate');
+    const uncleRate = jest.fn(() => 0.12);
+    expect(checkUncleRules([rule], uncleRate)[0].message).toBe('Uncle rate 12.0% over the last 50 blocks');
+    expect(uncleRate).toHaveBeenCalledWith(50);
+    expect(checkUncleRules([rule], () => 0.1)).toEqual([]);
+    expect(checkUncleRules([rule], () => null)).toEqual([]);
+  });
+
+  it('fires only for reorgs deeper than the limit', () => {
+    const rule = createRule('deepReorg');
+    const label = (chain) => `Chain ${chain}`;
+    expect(checkReorg([rule], { id: 'r1', chain: 'block:0', depth: 2 }, label)).toEqual([]);
+    expect(checkReorg([rule], { id: 'r2', chain: 'block:0', depth: 3 }, label)).toEqual([
+      { key: `${rule.id}:r2`, rule, message: 'Chain block:0: reorg of depth 3' }
+    ]);
+  });
+});
+
+describe('createAlertTracker', () => {
+  it('fires a condition once while it holds and again after it clears', () => {
+    const tracker = createAlertTracker();
+    const stale = { key: 'stale:0' };
+
+    expect(tracker.update('timed', [stale])).toEqual([stale]);
+    expect(tracker.update('timed', [stale])).toEqual([]);
+    expect(tracker.update('uncles', [stale])).toEqual([stale]);
+    expect(tracker.update('timed', [])).toEqual([]);
+    expect(tracker.update('timed', [stale])).toEqual([stale]);
+
+    tracker.reset();
+    expect(tracker.update('timed', [stale])).toEqual([stale]);
+  });
+});
+
+describe('loadAlertRules', () => {
+  afterEach(() => window.localStorage.clear());
+
+  it('drops unknown rule types and fills in missing params', () => {
+    saveAlertRules([{ id: 'a', type: 'uncleRate', params: { percent: 20 } }, { id: 'b', type: 'gone' }]);
+    const rules = loadAlertRules();
+    expect(rules).toHaveLength(1);
+    expect(rules[0]).toMatchObject({ id: 'a', enabled: true, params: { percent: 20, blocks: 50 } });
+  });
+
+  it('uses the defaults when nothing is stored', () => {
+    expect(loadAlertRules()).toBe(DefaultAlertRules);
+  });
+});
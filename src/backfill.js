@@ -0,0 +1,55 @@
+// Historical backfill of a zone's block range with bounded concurrency
+
+export const DefaultConcurrency = 4;
+export const MaxBackfillBlocks = 5000;
+
+const toHex = (n) => '0x' + n.toString(16);
+
+// Current tip height of a zone
+export const fetchTipHeight = async (client, signal) => {
+  const block = await client.request('quai_getBlockByNumber', ['latest', false], { retries: 2, signal });
+  if (!block || !block.woHeader) throw new Error('Latest block has no header');
+  return parseInt(block.woHeader.number, 16);
+};
+
+// Heights a request covers below a zone's tip, as { from, to, capped } where capped
+// says the range was cut to the last MaxBackfillBlocks heights; null when the start
+// is above the tip
+export const backfillBounds = ({ mode, value, tip }) => {
+  let from = mode === 'last' ? tip - value + 1 : value;
+  const capped = tip - from + 1 > MaxBackfillBlocks;
+  if (capped) from = tip - MaxBackfillBlocks + 1;
+  from = Math.max(0, from);
+  return from > tip ? null : { from, to: tip, capped };
+};
+
+// Fetch every block in [from, to], newest first so the view fills in from the tip.
+// onBlock receives each fetched block, onProgress a { done, failed, total } snapshot.
+export const backfillRange = async ({ client, from, to, concurrency = DefaultConcurrency, signal, onBlock, onProgress }) => {
+  const heights = [];
+  for (let height = to; height >= from; height--) heights.push(height);
+
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (next < heights.length) {
+      if (signal && signal.aborted) return;
+      const height = heights[next++];
+      try {
+        const block = await client.request('quai_getBlockByNumber', [toHex(height), true], { retries: 2, signal });
+        if (block) onBlock(block);
+      } catch (error) {
+        if (error.aborted) return;
+        failed++;
+        console.error(`Failed to backfill block ${height}:`, error);
+      }
+      done++;
+      onProgress({ done, failed, total: heights.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, heights.length) }, worker));
+  return { done, failed, total: heights.length, cancelled: Boolean(signal && signal.aborted) };
+};
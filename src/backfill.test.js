@@ -0,0 +1,17 @@
+import { backfillBounds, MaxBackfillBlocks } from './backfill';
+
+describe('backfillBounds', () => {
+  it('covers the last N heights up to the tip', () => {
+    expect(backfillBounds({ mode: 'last', value: 100, tip: 1000 })).toEqual({ from: 901, to: 1000, capped: false });
+  });
+
+  it('caps a typed start height to the last MaxBackfillBlocks heights and says so', () => {
+    const tip = MaxBackfillBlocks * 3;
+    expect(backfillBounds({ mode: 'from', value: 1, tip })).toEqual({ from: tip - MaxBackfillBlocks + 1, to: tip, capped: true });
+  });
+
+  it('stops at genesis and skips starts above the tip', () => {
+    expect(backfillBounds({ mode: 'last', value: 50, tip: 10 })).toEqual({ from: 0, to: 10, capped: false });
+    expect(backfillBounds({ mode: 'from', value: 11, tip: 10 })).toBeNull();
+  });
+});
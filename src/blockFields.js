@@ -0,0 +1,78 @@
+/* global BigInt */
+
+// Accessors for Quai block payloads returned by quai_getBlockByHash / quai_getBlockByNumber.
+// Field names moved between the work object header (woHeader) and the header across
+// node versions, so every accessor checks both.
+
+const pick = (block, ...names) => {
+  if (!block) return undefined;
+  for (const name of names) {
+    if (block.woHeader && block.woHeader[name] !== undefined) return block.woHeader[name];
+    if (block.header && block.header[name] !== undefined) return block.header[name];
+    if (block[name] !== undefined) return block[name];
+  }
+  return undefined;
+};
+
+export const isHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+export const isAddress = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+export const isQuantity = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{1,63}$/.test(value) && !isAddress(value);
+
+// Hex quantity to a decimal string (BigInt keeps difficulty and entropy exact)
+export const hexToDecimalString = (value) => {
+  try {
+    return BigInt(value).toString();
+  } catch (error) {
+    return String(value);
+  }
+};
+
+export const hexToNumber = (value) => (value === undefined || value === null ? null : parseInt(value, 16));
+
+// Hex quantity as an approximate float, for quantities too large to parse exactly (scales, not display)
+export const hexToFloat = (value) => {
+  if (value === undefined || value === null) return null;
+  try {
+    return Number(BigInt(value));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const blockTimestamp = (block) => hexToNumber(pick(block, 'timestamp', 'time'));
+export const blockMiner = (block) => pick(block, 'primaryCoinbase', 'miner', 'coinbase');
+export const blockDifficulty = (block) => pick(block, 'difficulty');
+export const blockGasUsed = (block) => hexToNumber(pick(block, 'gasUsed'));
+export const blockGasLimit = (block) => hexToNumber(pick(block, 'gasLimit'));
+export const blockNumbers = (block) => {
+  const numbers = block && block.header && block.header.number;
+  return Array.isArray(numbers) ? numbers.map(hexToNumber) : null;
+};
+// Per-level [prime, region, zone] header arrays as floats; older nodes say ΔS instead of delta entropy
+const headerLevels = (block, ...names) => {
+  const header = block && block.header;
+  const values = header && names.map(name => header[name]).find(Array.isArray);
+  return values ? values.map(hexToFloat) : null;
+};
+export const blockParentEntropy = (block) => headerLevels(block, 'parentEntropy');
+export const blockParentDeltaEntropy = (block) => headerLevels(block, 'parentDeltaEntropy', 'parentDeltaS');
+export const blockTransactions = (block) => (block && Array.isArray(block.transactions) ? block.transactions : []);
+
+// ETXs a block emits to other chains; older nodes call them extTransactions
+export const blockOutboundEtxs = (block) => {
+  const etxs = block && (block.outboundEtxs || block.extTransactions);
+  return Array.isArray(etxs) ? etxs : [];
+};
+
+// ETXs arrive in the destination zone as transactions of the external type
+export const isExternalTransaction = (tx) => Boolean(tx) && typeof tx === 'object' && parseInt(tx.type, 16) === 1;
+
+// [region, zone] an address lives in: the first byte holds the region in its high nibble
+// and the zone in its low nibble
+export const addressLocation = (address) => {
+  if (!isAddress(address)) return null;
+  const prefix = parseInt(address.slice(2, 4), 16);
+  return [prefix >> 4, prefix & 0x0f];
+};
+
+export const orderName = (order) => ['Prime', 'Region', 'Zone'][parseInt(order, 16)] || 'Unknown';
@@ -0,0 +1,260 @@
+// Canvas renderer for large graphs
+//
+// Draws the same scene as the SVG renderer onto a single canvas, redrawing at most
+// once per animation frame. Only items inside the viewport are drawn, text is
+// skipped once blocks get too small to read, and a uniform grid over the layout
+// coordinates answers hit tests for hover and click.
+
+import { typeLabel } from './rendering';
+import { matchesLegendEntry } from './viewFilters';
+
+const GridCellSize = 200;
+const MinTextSize = 24;  // on-screen block size below which labels are skipped
+const ArrowHeadSize = 8;
+
+const cellKey = (cx, cy) => `${cx},${cy}`;
+
+// Spatial index over item bounding boxes
+const buildGrid = (items) => {
+  const grid = new Map();
+  items.forEach((item, index) => {
+    const x0 = Math.floor(item.displayX / GridCellSize);
+    const x1 = Math.floor((item.displayX + item.size) / GridCellSize);
+    const y0 = Math.floor(item.displayY / GridCellSize);
+    const y1 = Math.floor((item.displayY + item.size) / GridCellSize);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const key = cellKey(cx, cy);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+      }
+    }
+  });
+  return grid;
+};
+
+const drawArrowHead = (ctx, x1, y1, x2, y2) => {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - ArrowHeadSize * Math.cos(angle - Math.PI / 6), y2 - ArrowHeadSize * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(x2 - ArrowHeadSize * Math.cos(angle + Math.PI / 6), y2 - ArrowHeadSize * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+};
+
+export const createCanvasRenderer = (canvas) => {
+  const ctx = canvas.getContext('2d');
+  let scene = null;
+  let grid = new Map();
+  let transform = { x: 0, y: 0, k: 1 };
+  // Selected block hash, pinned block hashes and the id of the item under the pointer
+  let highlight = { selected: null, pinned: new Set(), hovered: null, focused: null, legendEntry: null };
+  let frame = null;
+
+  // Match the backing store to the element size and the device pixel ratio
+  const fitToElement = () => {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    return ratio;
+  };
+
+  const draw = () => {
+    frame = null;
+    const ratio = fitToElement();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!scene) return;
+
+    const { k } = transform;
+    ctx.setTransform(ratio * k, 0, 0, ratio * k, ratio * transform.x, ratio * transform.y);
+
+    // Visible area in layout coordinates, with a margin for labels above blocks
+    const margin = 50;
+    const left = -transform.x / k - margin;
+    const top = -transform.y / k - margin;
+    const right = left + canvas.clientWidth / k + 2 * margin;
+    const bottom = top + canvas.clientHeight / k + 2 * margin;
+    const lineVisible = (l) => Math.max(l.x1, l.x2) >= left && Math.min(l.x1, l.x2) <= right &&
+      Math.max(l.y1, l.y2) >= top && Math.min(l.y1, l.y2) <= bottom;
+
+    const { colors } = scene;
+
+    const drawLines = (lines, { dash = [], arrowHead = false, opacity }) => {
+      ctx.lineWidth = 2;
+      ctx.setLineDash(dash);
+      lines.forEach(line => {
+        if (!lineVisible(line)) return;
+        ctx.globalAlpha = typeof opacity === 'function' ? opacity(line) : opacity;
+        ctx.beginPath();
+        ctx.moveTo(line.x1, line.y1);
+        ctx.lineTo(line.x2, line.y2);
+        ctx.stroke();
+        if (arrowHead) drawArrowHead(ctx, line.x1, line.y1, line.x2, line.y2);
+      });
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+    };
+
+    ctx.strokeStyle = colors.arrow;
+    ctx.fillStyle = colors.arrow;
+    drawLines(scene.arrows, { arrowHead: true, opacity: l => (l.orphaned ? 0.3 : 0.8) });
+    drawLines(scene.inclusions, { arrowHead: true, opacity: 0.8 });
+    ctx.strokeStyle = colors.coincident;
+    drawLines(scene.coincident, { dash: [5, 5], opacity: 1 });
+
+    // Curved ETX links; the control point bounds the curve together with its ends
+    ctx.strokeStyle = colors.etx;
+    ctx.fillStyle = colors.etx;
+    ctx.lineWidth = 1.5;
+    scene.etxLinks.forEach(link => {
+      if (!lineVisible({ x1: Math.min(link.x1, link.x2), y1: link.y1, x2: Math.max(link.x1, link.x2, link.cx), y2: link.y2 })) return;
+      ctx.globalAlpha = link.orphaned ? 0.3 : 0.8;
+      ctx.beginPath();
+      ctx.moveTo(link.x1, link.y1);
+      ctx.quadraticCurveTo(link.cx, link.cy, link.x2, link.y2);
+      ctx.stroke();
+      drawArrowHead(ctx, link.cx, link.cy, link.x2, link.y2);
+    });
+    ctx.globalAlpha = 1;
+
+    // Difficulty or entropy sparklines under the chain lanes
+    ctx.lineWidth = 1.5;
+    ctx.globalAlpha = 0.8;
+    scene.sparklines.forEach(sparkline => {
+      ctx.strokeStyle = sparkline.color;
+      ctx.beginPath();
+      sparkline.points.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+
+    ctx.fillStyle = colors.text;
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'end';
+    ctx.textBaseline = 'alphabetic';
+    scene.laneLabels.forEach(label => ctx.fillText(label.label, scene.labelX, label.y + 4));
+
+    ctx.textAlign = 'center';
+    scene.items.forEach(item => {
+      const { displayX: x, displayY: y, size } = item;
+      if (x + size < left || x > right || y + size < top || y > bottom) return;
+
+      ctx.globalAlpha = item.orphaned ? 0.35 : 1;
+      ctx.fillStyle = item.fill || colors[item.type];
+      ctx.fillRect(x, y, size, size);
+
+      let stroke = colors.stroke;
+      let width = 1;
+      if (item.orphaned) {
+        stroke = colors.orphan;
+        width = 2;
+        ctx.setLineDash([4, 3]);
+      }
+      if (highlight.pinned.has(item.fullHash)) {
+        stroke = colors.accent;
+        width = 2;
+      }
+      if (item.fullHash === highlight.selected || item.id === highlight.hovered ||
+        (highlight.legendEntry && matchesLegendEntry(item, highlight.legendEntry))) {
+        stroke = colors.selected;
+        width = 3;
+      }
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = width;
+      ctx.strokeRect(x, y, size, size);
+      ctx.setLineDash([]);
+
+      // Keyboard focus ring just outside the block
+      if (item.id === highlight.focused) {
+        ctx.strokeStyle = colors.accent;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - 4, y - 4, size + 8, size + 8);
+      }
+
+      if (size * k >= MinTextSize) {
+        ctx.fillStyle = colors.blockText;
+        ctx.font = '10px monospace';
+        ctx.fillText(item.hash, x + size / 2, y + size / 2 - 5);
+        if (item.number !== null) {
+          ctx.font = '9px monospace';
+          ctx.fillText(`#${item.number}`, x + size / 2, y + size / 2 + 8);
+        }
+        ctx.fillStyle = colors.text;
+        ctx.font = '8px sans-serif';
+        ctx.fillText(typeLabel(item.type), x + size / 2, y - 5);
+      }
+
+      // Gas fill bar and tx count, when the transaction overlay is on
+      if (scene.txOverlay && item.type === 'block' && item.txCount !== undefined) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(x + 3, y + size - 7, size - 6, 4);
+        ctx.fillStyle = colors.gas;
+        ctx.fillRect(x + 3, y + size - 7, (size - 6) * (item.gasFill ?? 0), 4);
+        if (size * k >= MinTextSize) {
+          ctx.fillStyle = colors.blockText;
+          ctx.font = '8px monospace';
+          ctx.textAlign = 'end';
+          ctx.fillText(`${item.txCount} tx`, x + size - 3, y + 9);
+          ctx.textAlign = 'center';
+        }
+      }
+    });
+    ctx.globalAlpha = 1;
+  };
+
+  const scheduleDraw = () => {
+    if (frame === null) frame = window.requestAnimationFrame(draw);
+  };
+
+  return {
+    setScene(next) {
+      scene = next;
+      grid = buildGrid(next.items);
+      scheduleDraw();
+    },
+
+    setTransform(next) {
+      transform = next;
+      scheduleDraw();
+    },
+
+    setHighlight(next) {
+      highlight = { ...highlight, ...next };
+      scheduleDraw();
+    },
+
+    // Topmost item under a point given in canvas pixels, or null
+    hitTest(px, py) {
+      if (!scene) return null;
+      const x = (px - transform.x) / transform.k;
+      const y = (py - transform.y) / transform.k;
+      const candidates = grid.get(cellKey(Math.floor(x / GridCellSize), Math.floor(y / GridCellSize))) || [];
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        const item = scene.items[candidates[i]];
+        if (x >= item.displayX && x <= item.displayX + item.size &&
+            y >= item.displayY && y <= item.displayY + item.size) {
+          return item;
+        }
+      }
+      return null;
+    },
+
+    clear() {
+      scene = null;
+      grid = new Map();
+      highlight = { ...highlight, hovered: null };
+      scheduleDraw();
+    },
+
+    destroy() {
+      if (frame !== null) window.cancelAnimationFrame(frame);
+      frame = null;
+    }
+  };
+};
@@ -0,0 +1,425 @@
+// Chain model without React or the DOM: turns Quai RPC payloads into items and lays them out
+//
+// An engine owns an item store and an incremental layout. Payloads go in through
+// ingestBlock (full blocks from polling, subscriptions or parent fetches, with the
+// uncles and workshares they include) and ingestWorkshare (newWorkshares
+// notifications). computeLayout returns the positioned nodes and the edges between
+// them, along with the parents that are referenced but not loaded yet, which the
+// caller is expected to fetch and ingest.
+//
+//   const engine = createChainEngine();
+//   engine.ingestBlock(block, '0');
+//   const { nodes, edges, missingParents } = engine.computeLayout(config, { heads });
+//
+// Nodes are item copies, new on every call, with displayX, displayY, size and orphaned
+// (set from the heads given); edges are { arrows, inclusions, coincident } line
+// segments. A select option lays out only part of the items, in a second layout
+// without empty lanes.
+
+import { createItemStore, itemKey, ChainTypes } from './itemStore';
+import { createLayout } from './layout';
+import { canonicalHashes } from './reorgs';
+import { blockTimestamp, blockDifficulty, blockParentEntropy, blockParentDeltaEntropy, hexToFloat } from './blockFields';
+import { summarizeTransactions } from './txOverlay';
+
+export const ZeroHash = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// Geometry computeLayout uses when the caller doesn't pass its own
+export const DefaultLayoutConfig = {
+  spacing: 120,
+  sizes: { zone: 50, region: 75, prime: 100 },
+  sizeBy: 'workshares'
+};
+
+// [region, zone] from a woHeader location ("0x0001" -> [0, 1])
+export const parseLocation = (location) => {
+  if (!location) return null;
+  if (Array.isArray(location)) return location.length >= 2 ? location.slice(0, 2) : null;
+  const hex = String(location).replace(/^0x/, '');
+  if (hex.length < 4) return null;
+  return [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16)];
+};
+
+// Region chain a zone belongs to; without a known location each zone counts as its own region
+export const regionOf = (zone, locations) => {
+  const location = locations[zone];
+  return location ? String(location[0]) : `z${zone}`;
+};
+
+// Chain a block representation belongs to: one prime chain, one per region, one per zone
+export const chainKeyOf = (item, locations) => {
+  if (item.type === 'primeBlock') return 'primeBlock';
+  if (item.type === 'regionBlock') return `regionBlock:${regionOf(item.zone, locations)}`;
+  if (item.type === 'block') return `block:${item.zone}`;
+  return null;
+};
+
+const TypeRank = { primeBlock: 0, regionBlock: 1, block: 2 };
+
+const emptyChanges = () => ({ added: new Set(), removed: new Set(), updated: new Set() });
+
+// Fold a batch of store changes into changes not applied yet, netting out items
+// that came and went in between
+const mergeChanges = (pending, { added, removed, updated }) => {
+  added.forEach(item => pending.added.add(item));
+  updated.forEach(item => {
+    if (!pending.added.has(item)) pending.updated.add(item);
+  });
+  removed.forEach(item => {
+    pending.updated.delete(item);
+    if (pending.added.has(item)) pending.added.delete(item);
+    else pending.removed.add(item);
+  });
+};
+
+// log receives a line for every item added or updated, e.g. console.log while debugging;
+// the engine is silent without one
+export const createChainEngine = ({ log = () => {} } = {}) => {
+  const store = createItemStore();
+  const layout = createLayout();
+  const filteredLayout = createLayout();
+  let fullChanges = emptyChanges(); // store changes the full layout hasn't seen yet
+  let filteredSelect = null;        // select function the filtered layout was built for
+  let filteredItems = new Map();    // id -> item in the filtered layout
+  let locations = {}; // zone -> [region, zone], from the blocks seen from it
+
+  // Add an uncle or workshare seen from the given zone
+  const addIncluded = (type, hash, parentHash, number, includingHash, zone) => {
+    const shortHash = hash.slice(0, 8);
+    const existing = store.get(type, hash, zone);
+    if (existing) {
+      if (includingHash && existing.includedIn !== includingHash) {
+        // Update existing with includedIn
+        store.update(existing, { includedIn: includingHash });
+        log(`Updated ${type}: ${shortHash} with includedIn ${includingHash}`);
+        return true;
+      }
+      log(`Duplicate ${type} detected, skipping: ${shortHash}`);
+      return false;
+    }
+
+    const item = {
+      id: itemKey(type, hash, zone),
+      type,
+      hash: shortHash,
+      fullHash: hash,
+      parentHash: parentHash ? parentHash.slice(0, 8) : null,
+      fullParentHash: parentHash,
+      number: number ? parseInt(number, 16) : null,
+      order: null,
+      zone,
+      timestamp: Date.now(),
+      includedIn: includingHash || null
+    };
+    if (type === 'workshare') {
+      // Seen on the subscription before any block included it
+      item.seenLive = !includingHash;
+    }
+    store.add(item);
+    log(`Added ${type} in zone ${zone}: ${shortHash} -> ${item.fullParentHash} (${item.number}) includedIn: ${item.includedIn}`);
+    return true;
+  };
+
+  // Add a block's representations by its order: prime blocks are also region and zone
+  // blocks, region blocks are also zone blocks. Prime and region representations are
+  // merged across zones, the rest is per zone.
+  const addBlockItems = (block, zone) => {
+    const hash = block.hash;
+    const shortHash = hash.slice(0, 8);
+    const number = parseInt(block.woHeader.number, 16);
+    const order = block.order;
+    const headerParentHashes = block.header ? block.header.parentHash : [];
+    const blockInfo = {
+      headerTime: blockTimestamp(block),
+      difficulty: hexToFloat(blockDifficulty(block)),
+      parentEntropy: blockParentEntropy(block),
+      parentDeltaEntropy: blockParentDeltaEntropy(block),
+      ...summarizeTransactions(block)
+    };
+    let changed = false;
+
+    const addRepresentation = (type, parent) => {
+      if (store.get(type, hash, zone)) return;
+      const item = {
+        id: itemKey(type, hash, zone),
+        type,
+        hash: shortHash,
+        fullHash: hash,
+        parentHash: parent ? parent.slice(0, 8) : null,
+        fullParentHash: parent,
+        number,
+        order,
+        zone,
+        timestamp: Date.now(),
+        ...blockInfo
+      };
+      store.add(item);
+      log(`Added ${type} in zone ${zone}: ${shortHash} -> ${item.fullParentHash} (${number})`);
+      changed = true;
+    };
+
+    const orderNum = parseInt(order, 16);
+    if (orderNum === 0) {
+      addRepresentation('primeBlock', headerParentHashes[0]);
+      addRepresentation('regionBlock', headerParentHashes[1]);
+    } else if (orderNum === 1) {
+      addRepresentation('regionBlock', headerParentHashes[1] || headerParentHashes[0]);
+    }
+    addRepresentation('block', block.woHeader.parentHash);
+    return changed;
+  };
+
+  // Add a block payload seen from a zone, together with the uncles and workshares it
+  // includes. Returns { hash, number, location, changed }, or null when the payload
+  // isn't a block.
+  const ingestBlock = (block, zone) => {
+    if (!block || !block.hash || !block.woHeader) return null;
+
+    const location = parseLocation(block.woHeader.location);
+    if (location && !locations[zone]) locations = { ...locations, [zone]: location };
+
+    let changed = addBlockItems(block, zone);
+
+    (block.uncles || []).forEach(uncle => {
+      if (uncle.hash && uncle.parentHash) {
+        changed = addIncluded('uncle', uncle.hash, uncle.parentHash, uncle.number, block.hash, zone) || changed;
+      }
+    });
+
+    (block.workshares || []).forEach(workshare => {
+      if (workshare.hash && workshare.parentHash) {
+        changed = addIncluded('workshare', workshare.hash, workshare.parentHash, workshare.number, block.hash, zone) || changed;
+      }
+    });
+
+    return { hash: block.hash, number: parseInt(block.woHeader.number, 16), location, changed };
+  };
+
+  // Add a workshare from a newWorkshares notification; returns whether anything changed
+  const ingestWorkshare = (result, zone) => {
+    if (!result || !result.hash || !result.parentHash || !result.number || result.type !== 'workshare') return false;
+    return addIncluded('workshare', result.hash, result.parentHash, result.number, null, zone);
+  };
+
+  // Chains a head block reported by a zone's node heads, as { chainKey: hash }
+  const headKeys = (block, zone) => {
+    const order = parseInt(block.order, 16);
+    const location = parseLocation(block.woHeader.location);
+    const region = location ? String(location[0]) : `z${zone}`;
+
+    const keys = { [`block:${zone}`]: block.hash };
+    if (order <= 1) keys[`regionBlock:${region}`] = block.hash;
+    if (order === 0) keys.primeBlock = block.hash;
+    return keys;
+  };
+
+  // Hash lookup over the items of one chain, backed by the store's indexes
+  const chainItems = (key) => {
+    const [type, id] = key.split(':');
+    const zone = type === 'block' ? id : undefined;
+    const get = (hash) => store.get(type, hash, zone);
+    return { get, has: (hash) => Boolean(get(hash)) };
+  };
+
+  // Ids of blocks older than their chain's head that are no longer on its canonical branch
+  const orphanedIds = (items, heads) => {
+    const orphaned = new Set();
+    const canonicalByChain = new Map();
+    items.forEach(item => {
+      const key = chainKeyOf(item, locations);
+      const chain = key && heads[key] ? chainItems(key) : null;
+      const head = chain && chain.get(heads[key]);
+      if (!head) return;
+      if (!canonicalByChain.has(key)) {
+        canonicalByChain.set(key, canonicalHashes(chain, head.fullHash));
+      }
+      const isOlder = item.zone === head.zone ? item.number <= head.number : item.timestamp <= head.timestamp;
+      if (isOlder && !canonicalByChain.get(key).has(item.fullHash)) orphaned.add(item.id);
+    });
+    return orphaned;
+  };
+
+  // The store as the full layout sees it, handing over the changes saved up for it
+  const fullView = () => ({
+    ...store,
+    takeChanges: () => {
+      const taken = fullChanges;
+      fullChanges = emptyChanges();
+      return taken;
+    }
+  });
+
+  // The store as the filtered layout sees it: the selected items, with changes worked
+  // out against what the layout already holds. Block sizes still count every workshare.
+  const selectionView = (selected, batch) => {
+    const selectedItems = new Map(selected.map(item => [item.id, item]));
+    const narrow = (items) => Array.from(items).filter(item => selectedItems.get(item.id) === item);
+
+    // Items that were replaced in the store under the same id count as removed and added
+    const added = selected.filter(item => filteredItems.get(item.id) !== item);
+    const removed = Array.from(filteredItems.values()).filter(item => selectedItems.get(item.id) !== item);
+    const updated = new Set(Array.from(batch.updated).filter(item => filteredItems.get(item.id) === item));
+
+    // A workshare resizes the block it points at even when workshares are filtered out
+    [...batch.added, ...batch.removed].forEach(item => {
+      if (item.type !== 'workshare' || selectedItems.get(item.id) === item) return;
+      narrow(store.representations(item.fullParentHash))
+        .filter(parent => filteredItems.get(parent.id) === parent)
+        .forEach(parent => updated.add(parent));
+    });
+
+    filteredItems = selectedItems;
+    return {
+      takeChanges: () => ({ added, removed, updated }),
+      items: () => selected,
+      column: (zone, number) => narrow(store.column(zone, number)),
+      representations: (hash) => narrow(store.representations(hash)),
+      workshareCount: store.workshareCount
+    };
+  };
+
+  const buildEdges = (nodes, source) => {
+    const find = (type, hash, zone) => source.get(itemKey(type, hash, zone));
+
+    // Parent links, uncles and workshares to the zone block they build on
+    const arrows = [];
+    nodes.forEach(node => {
+      if (!node.fullParentHash || node.fullParentHash === ZeroHash) return;
+      const parent = find(ChainTypes.includes(node.type) ? node.type : 'block', node.fullParentHash, node.zone);
+      if (!parent) return;
+      arrows.push({
+        id: node.id,
+        x1: node.displayX,
+        y1: node.displayY + node.size / 2,
+        x2: parent.displayX + parent.size,
+        y2: parent.displayY + parent.size / 2,
+        orphaned: node.orphaned
+      });
+    });
+
+    // Inclusion arrows for uncles and workshares
+    const inclusions = [];
+    nodes.forEach(node => {
+      if (!node.includedIn || !['uncle', 'workshare'].includes(node.type)) return;
+      const including = find('block', node.includedIn, node.zone);
+      if (!including) return;
+      inclusions.push({
+        id: 'inclusion-' + node.id,
+        x1: including.displayX + including.size / 2,
+        y1: including.displayY + including.size,
+        x2: node.displayX + node.size / 2,
+        y2: node.displayY
+      });
+    });
+
+    // Coincident lines from each dominant (prime/region) block down to the blocks
+    // with the same hash one level below
+    const groups = new Map();
+    nodes.filter(node => ChainTypes.includes(node.type)).forEach(node => {
+      groups.set(node.fullHash, [...(groups.get(node.fullHash) || []), node]);
+    });
+    const coincident = [];
+    groups.forEach(group => {
+      if (group.length < 2) return;
+      const prime = group.find(node => node.type === 'primeBlock');
+      const region = group.find(node => node.type === 'regionBlock');
+      const links = [];
+      if (prime && region) links.push([prime, region]);
+      const lowestDominant = region || prime;
+      if (lowestDominant) {
+        group.filter(node => node.type === 'block').forEach(zoneBlock => links.push([lowestDominant, zoneBlock]));
+      }
+      links.sort((a, b) => TypeRank[a[1].type] - TypeRank[b[1].type]).forEach(([upper, lower]) => {
+        coincident.push({
+          id: 'coincident-' + upper.id + '-to-' + lower.id,
+          x1: upper.displayX + upper.size / 2,
+          y1: upper.displayY + upper.size,
+          x2: lower.displayX + lower.size / 2,
+          y2: lower.displayY
+        });
+      });
+    });
+
+    return { arrows, inclusions, coincident };
+  };
+
+  // Parents referenced by loaded items but not loaded themselves, once per parent hash
+  const missingParents = () => {
+    const missing = new Map();
+    store.items().forEach(item => {
+      const parentHash = item.fullParentHash;
+      if (!parentHash || parentHash === ZeroHash || store.hasHash(parentHash) || missing.has(parentHash)) return;
+      missing.set(parentHash, { hash: parentHash, zone: item.zone, childHash: item.fullHash, childNumber: item.number });
+    });
+    return Array.from(missing.values());
+  };
+
+  // Bring the layout up to date with what was ingested since the last call.
+  // heads maps chain keys (see headKeys) to head hashes for orphan marking.
+  // select(items, { orphaned, workshareCount }) returns the items to show, given the
+  // set of orphaned item ids and the workshare count of a block hash.
+  // The filtered layout is kept up to date incrementally for as long as the same select
+  // function is passed, and rebuilt from scratch when it changes. Callers must memoize
+  // select (e.g. with useMemo on the filters): a new function on every call, even for
+  // the same filters, rebuilds the filtered layout every time.
+  const computeLayout = (config = DefaultLayoutConfig, { heads = {}, select = null } = {}) => {
+    const batch = store.takeChanges();
+    mergeChanges(fullChanges, batch);
+    const orphaned = orphanedIds(store.items(), heads);
+    let source = layout;
+    if (select) {
+      // The full layout catches up on the saved changes once the filter is lifted
+      source = filteredLayout;
+      if (select !== filteredSelect) {
+        filteredLayout.reset();
+        filteredItems = new Map();
+        filteredSelect = select;
+      }
+      const selected = select(store.items(), { orphaned, workshareCount: store.workshareCount });
+      filteredLayout.update(selectionView(selected, batch), { ...config, compactLanes: true });
+    } else {
+      layout.update(fullView(), config);
+    }
+
+    const nodes = source.positioned().map(node => ({ ...node, orphaned: orphaned.has(node.id) }));
+    return {
+      nodes,
+      edges: buildEdges(nodes, source),
+      lanes: source.lanes(),
+      missingParents: missingParents()
+    };
+  };
+
+  const remove = (items) => items.forEach(item => store.remove(item));
+
+  // Every loaded item with orphaned set, whatever the view filters show; for exports
+  const snapshotItems = ({ heads = {} } = {}) => {
+    const orphaned = orphanedIds(store.items(), heads);
+    return store.items().map(item => ({ ...item, orphaned: orphaned.has(item.id) }));
+  };
+
+  const clear = () => {
+    store.clear();
+    store.takeChanges();
+    fullChanges = emptyChanges();
+    layout.reset();
+    filteredLayout.reset();
+    filteredSelect = null;
+    filteredItems = new Map();
+    locations = {};
+  };
+
+  return {
+    ingestBlock,
+    ingestWorkshare,
+    computeLayout,
+    headKeys,
+    chainItems,
+    remove,
+    clear,
+    snapshotItems,
+    items: () => store.items(),
+    hasHash: (hash) => store.hasHash(hash),
+    locations: () => locations
+  };
+};
@@ -0,0 +1,379 @@
+import { createChainEngine, ZeroHash, DefaultLayoutConfig } from './chainEngine';
+import { itemKey } from './itemStore';
+import { selectVisible, DefaultFilters } from './viewFilters';
+
+// 32-byte hash from a short label, so fixtures stay readable
+const hash = (label) => '0x' + label.padEnd(64, '0');
+
+const block = ({ label, number, parent, order = 2, primeParent = ZeroHash, regionParent = ZeroHash, location = '0x0000', uncles = [], workshares = [] }) => ({
+  hash: hash(label),
+  order: `0x${order.toString(16)}`,
+  woHeader: {
+    number: `0x${number.toString(16)}`,
+    parentHash: parent ? hash(parent) : ZeroHash,
+    location
+  },
+  header: { parentHash: [primeParent, regionParent] },
+  uncles,
+  workshares
+});
+
+const share = (label, number, parent) => ({
+  hash: hash(label),
+  parentHash: hash(parent),
+  number: `0x${number.toString(16)}`,
+  type: 'workshare'
+});
+
+const nodeOf = (nodes, type, label) => nodes.find(node => node.type === type && node.fullHash === hash(label));
+
+describe('ingestBlock', () => {
+  it('expands a block into representations by its order', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1, order: 0 }), '0');
+    engine.ingestBlock(block({ label: 'a2', number: 2, parent: 'a1', order: 1, regionParent: hash('a1') }), '0');
+    engine.ingestBlock(block({ label: 'a3', number: 3, parent: 'a2' }), '0');
+
+    const types = (label) => engine.items().filter(item => item.fullHash === hash(label)).map(item => item.type).sort();
+    expect(types('a1')).toEqual(['block', 'primeBlock', 'regionBlock']);
+    expect(types('a2')).toEqual(['block', 'regionBlock']);
+    expect(types('a3')).toEqual(['block']);
+  });
+
+  it('merges prime and region representations across zones', () => {
+    const engine = createChainEngine();
+    const prime = block({ label: 'p1', number: 1, order: 0 });
+    engine.ingestBlock(prime, '0');
+    engine.ingestBlock(prime, '1');
+
+    const items = engine.items();
+    expect(items.filter(item => item.type === 'primeBlock')).toHaveLength(1);
+    expect(items.filter(item => item.type === 'regionBlock')).toHaveLength(1);
+    expect(items.filter(item => item.type === 'block').map(item => item.zone).sort()).toEqual(['0', '1']);
+  });
+
+  it('reports whether anything changed and ignores payloads that are not blocks', () => {
+    const engine = createChainEngine();
+    const payload = block({ label: 'a1', number: 1, location: '0x0102' });
+    expect(engine.ingestBlock(payload, '0')).toEqual({ hash: hash('a1'), number: 1, location: [1, 2], changed: true });
+    expect(engine.ingestBlock(payload, '0').changed).toBe(false);
+    expect(engine.ingestBlock(null, '0')).toBeNull();
+    expect(engine.ingestBlock({ hash: hash('b1') }, '0')).toBeNull();
+  });
+
+  it('keys head chains by order and region', () => {
+    const engine = createChainEngine();
+    expect(engine.headKeys(block({ label: 'a1', number: 1, order: 0, location: '0x0102' }), '3')).toEqual({
+      'block:3': hash('a1'),
+      'regionBlock:1': hash('a1'),
+      primeBlock: hash('a1')
+    });
+    expect(engine.headKeys(block({ label: 'a2', number: 2, location: null }), '3')).toEqual({ 'block:3': hash('a2') });
+  });
+});
+
+describe('forks', () => {
+  const forked = () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1 }), '0');
+    engine.ingestBlock(block({ label: 'a2', number: 2, parent: 'a1' }), '0');
+    engine.ingestBlock(block({ label: 'b2', number: 2, parent: 'a1' }), '0');
+    engine.ingestBlock(block({ label: 'a3', number: 3, parent: 'a2' }), '0');
+    return engine;
+  };
+
+  it('stacks competing blocks at the same height in one column', () => {
+    const { nodes } = forked().computeLayout();
+    const a2 = nodeOf(nodes, 'block', 'a2');
+    const b2 = nodeOf(nodes, 'block', 'b2');
+    expect(a2.displayX).toBe(b2.displayX);
+    expect(b2.displayY - a2.displayY).toBe(Math.max(...Object.values(DefaultLayoutConfig.sizes)) + 20);
+  });
+
+  it('links both branches to their common parent', () => {
+    const { edges } = forked().computeLayout();
+    const arrowIds = edges.arrows.map(arrow => arrow.id);
+    expect(arrowIds).toEqual(expect.arrayContaining([itemKey('block', hash('a2'), '0'), itemKey('block', hash('b2'), '0')]));
+  });
+
+  it('marks the branch the head left behind as orphaned', () => {
+    const { nodes, edges } = forked().computeLayout(DefaultLayoutConfig, { heads: { 'block:0': hash('a3') } });
+    expect(nodeOf(nodes, 'block', 'b2').orphaned).toBe(true);
+    expect(nodeOf(nodes, 'block', 'a2').orphaned).toBe(false);
+    expect(edges.arrows.find(arrow => arrow.id === itemKey('block', hash('b2'), '0')).orphaned).toBe(true);
+  });
+
+  it('returns new nodes each call, so marks and decorations do not carry over', () => {
+    const engine = forked();
+    const first = engine.computeLayout(DefaultLayoutConfig, { heads: { 'block:0': hash('a3') } }).nodes;
+    nodeOf(first, 'block', 'a2').fill = '#fff';
+
+    const { nodes } = engine.computeLayout(DefaultLayoutConfig, { heads: { 'block:0': hash('b2') } });
+    expect(nodeOf(first, 'block', 'b2').orphaned).toBe(true);
+    expect(nodeOf(nodes, 'block', 'b2').orphaned).toBe(false);
+    expect(nodeOf(nodes, 'block', 'a2')).not.toHaveProperty('fill');
+  });
+});
+
+describe('uncles and workshares', () => {
+  it('centers an included uncle under its zone block and links it to the including block', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1 }), '0');
+    engine.ingestBlock(block({
+      label: 'a2',
+      number: 2,
+      parent: 'a1',
+      uncles: [{ hash: hash('u1'), parentHash: hash('a1'), number: '0x1' }]
+    }), '0');
+
+    const { nodes, edges } = engine.computeLayout();
+    const uncle = nodeOf(nodes, 'uncle', 'u1');
+    const zoneBlock = nodeOf(nodes, 'block', 'a1');
+    expect(uncle.includedIn).toBe(hash('a2'));
+    expect(uncle.displayX + uncle.size / 2).toBe(zoneBlock.displayX + zoneBlock.size / 2);
+    expect(uncle.displayY).toBeGreaterThan(zoneBlock.displayY);
+    expect(edges.inclusions.map(inclusion => inclusion.id)).toEqual(['inclusion-' + itemKey('uncle', hash('u1'), '0')]);
+  });
+
+  it('grows a block by 10% for every workshare pointing at it', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1 }), '0');
+    engine.ingestWorkshare(share('w1', 1, 'a1'), '0');
+    engine.ingestWorkshare(share('w2', 1, 'a1'), '0');
+
+    const { nodes } = engine.computeLayout();
+    expect(nodeOf(nodes, 'block', 'a1').size).toBeCloseTo(DefaultLayoutConfig.sizes.zone * 1.2);
+  });
+
+  it('records the including block for a workshare seen on the subscription first', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1 }), '0');
+    expect(engine.ingestWorkshare(share('w1', 1, 'a1'), '0')).toBe(true);
+    expect(engine.ingestWorkshare(share('w1', 1, 'a1'), '0')).toBe(false);
+    engine.ingestBlock(block({ label: 'a2', number: 2, parent: 'a1', workshares: [share('w1', 1, 'a1')] }), '0');
+
+    const workshare = engine.items().find(item => item.type === 'workshare');
+    expect(workshare.seenLive).toBe(true);
+    expect(workshare.includedIn).toBe(hash('a2'));
+  });
+
+  it('rejects notifications that are not workshares', () => {
+    const engine = createChainEngine();
+    expect(engine.ingestWorkshare({ ...share('w1', 1, 'a1'), type: 'block' }, '0')).toBe(false);
+    expect(engine.ingestWorkshare(null, '0')).toBe(false);
+  });
+});
+
+describe('coincident blocks', () => {
+  it('links a prime block down to its region and zone representations', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'p1', number: 1, order: 0 }), '0');
+
+    const { nodes, edges } = engine.computeLayout();
+    const prime = nodeOf(nodes, 'primeBlock', 'p1');
+    const region = nodeOf(nodes, 'regionBlock', 'p1');
+    const zoneBlock = nodeOf(nodes, 'block', 'p1');
+    expect(edges.coincident.map(link => link.id)).toEqual([
+      `coincident-${prime.id}-to-${region.id}`,
+      `coincident-${region.id}-to-${zoneBlock.id}`
+    ]);
+    expect(prime.displayY).toBeLessThan(region.displayY);
+    expect(region.displayY).toBeLessThan(zoneBlock.displayY);
+  });
+
+  it('links one region block to the zone block of every zone it was seen from', () => {
+    const engine = createChainEngine();
+    const regionBlock = block({ label: 'r1', number: 1, order: 1 });
+    engine.ingestBlock(regionBlock, '0');
+    engine.ingestBlock(regionBlock, '1');
+
+    const { edges } = engine.computeLayout();
+    expect(edges.coincident).toHaveLength(2);
+    expect(edges.coincident.every(link => link.id.startsWith(`coincident-${itemKey('regionBlock', hash('r1'))}-to-`))).toBe(true);
+  });
+
+  it('keeps a plain zone block out of coincident links', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1 }), '0');
+    expect(engine.computeLayout().edges.coincident).toEqual([]);
+  });
+});
+
+describe('missing parents', () => {
+  it('reports parents that are referenced but not loaded', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a5', number: 5, parent: 'a4' }), '2');
+
+    const { missingParents, edges } = engine.computeLayout();
+    expect(missingParents).toEqual([{ hash: hash('a4'), zone: '2', childHash: hash('a5'), childNumber: 5 }]);
+    expect(edges.arrows).toEqual([]);
+  });
+
+  it('links the child once the parent is ingested', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a5', number: 5, parent: 'a4' }), '0');
+    engine.computeLayout();
+    engine.ingestBlock(block({ label: 'a4', number: 4 }), '0');
+
+    const { missingParents, edges } = engine.computeLayout();
+    expect(missingParents).toEqual([]);
+    expect(edges.arrows.map(arrow => arrow.id)).toEqual([itemKey('block', hash('a5'), '0')]);
+  });
+
+  it('never asks for the zero hash', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'g', number: 0 }), '0');
+    expect(engine.computeLayout().missingParents).toEqual([]);
+  });
+});
+
+describe('weight sizing', () => {
+  const config = { ...DefaultLayoutConfig, sizeBy: 'weight' };
+  const difficulties = { w1: 1000000, w2: 1050000, w3: 980000, w4: 1100000 };
+  const weighted = (label, number) => {
+    const payload = block({ label, number, parent: number > 1 ? `w${number - 1}` : null });
+    return { ...payload, woHeader: { ...payload.woHeader, difficulty: `0x${difficulties[label].toString(16)}` } };
+  };
+
+  const sizesAfter = (labels) => {
+    const engine = createChainEngine();
+    let nodes = [];
+    labels.forEach(label => {
+      engine.ingestBlock(weighted(label, Number(label.slice(1))), '0');
+      ({ nodes } = engine.computeLayout(config));
+    });
+    return { engine, sizes: Object.fromEntries(nodes.map(node => [node.id, node.size])) };
+  };
+
+  it('sizes blocks the same whatever order they arrive in', () => {
+    const { sizes } = sizesAfter(['w1', 'w2', 'w3', 'w4']);
+    expect(sizesAfter(['w4', 'w2', 'w1', 'w3']).sizes).toEqual(sizes);
+    expect(sizesAfter(['w3', 'w4', 'w1', 'w2']).sizes).toEqual(sizes);
+    expect(sizes[itemKey('block', hash('w3'), '0')]).toBe(DefaultLayoutConfig.sizes.zone);
+  });
+
+  it('moves the reference once the lowest block is removed', () => {
+    const { engine } = sizesAfter(['w1', 'w2', 'w3', 'w4']);
+    engine.remove(engine.items().filter(item => item.fullHash === hash('w3')));
+    const { nodes } = engine.computeLayout(config);
+
+    expect(Object.fromEntries(nodes.map(node => [node.id, node.size]))).toEqual(sizesAfter(['w1', 'w2', 'w4']).sizes);
+  });
+});
+
+describe('select', () => {
+  const withWorkshares = () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1 }), '0');
+    engine.ingestBlock(block({ label: 'a2', number: 2, parent: 'a1' }), '0');
+    engine.ingestBlock(block({ label: 'b2', number: 2, parent: 'a1' }), '0');
+    engine.ingestBlock(block({ label: 'a3', number: 3, parent: 'a2' }), '0');
+    engine.ingestWorkshare(share('w1', 1, 'a1'), '0');
+    engine.ingestWorkshare(share('w2', 2, 'a2'), '0');
+    return engine;
+  };
+  const heads = { 'block:0': hash('a3') };
+
+  it('drops hidden types with their edges and closes up their lanes', () => {
+    const engine = withWorkshares();
+    const full = engine.computeLayout(DefaultLayoutConfig, { heads });
+    const select = selectVisible({ ...DefaultFilters, hidden: ['workshare'] });
+    const { nodes, edges, lanes } = engine.computeLayout(DefaultLayoutConfig, { heads, select });
+
+    expect(nodes.some(node => node.type === 'workshare')).toBe(false);
+    expect(edges.arrows.every(arrow => !arrow.id.startsWith('workshare'))).toBe(true);
+    expect(full.lanes.laneBaseY.has('workshare:0')).toBe(true);
+    expect(lanes.laneBaseY.has('workshare:0')).toBe(false);
+    // Workshares still size the blocks they point at
+    expect(nodeOf(nodes, 'block', 'a1').size).toBeCloseTo(DefaultLayoutConfig.sizes.zone * 1.1);
+  });
+
+  it('keeps blocks with enough workshares and the workshares pointing at them', () => {
+    const select = selectVisible({ ...DefaultFilters, minWorkshares: 1 });
+    const { nodes } = withWorkshares().computeLayout(DefaultLayoutConfig, { heads, select });
+    expect(nodes.map(node => node.fullHash).sort()).toEqual([hash('a1'), hash('a2'), hash('w1'), hash('w2')].sort());
+  });
+
+  it('keeps only orphaned blocks when asked for non-canonical ones', () => {
+    const select = selectVisible({ ...DefaultFilters, nonCanonicalOnly: true });
+    const { nodes } = withWorkshares().computeLayout(DefaultLayoutConfig, { heads, select });
+    expect(nodes.map(node => node.fullHash)).toEqual([hash('b2')]);
+    expect(nodes[0].orphaned).toBe(true);
+  });
+
+  it('picks up what was ingested while filtered once the filters are cleared', () => {
+    const engine = withWorkshares();
+    const select = selectVisible({ ...DefaultFilters, hidden: ['uncle'] });
+    engine.computeLayout(DefaultLayoutConfig, { heads, select });
+    engine.ingestBlock(block({ label: 'a4', number: 4, parent: 'a3' }), '0');
+    engine.computeLayout(DefaultLayoutConfig, { heads, select });
+
+    const { nodes } = engine.computeLayout(DefaultLayoutConfig, { heads });
+    expect(nodes).toHaveLength(engine.items().length);
+    expect(nodeOf(nodes, 'block', 'a4').displayX).toBeGreaterThan(nodeOf(nodes, 'block', 'a3').displayX);
+  });
+
+  it('updates the filtered layout in place while the select function stays the same', () => {
+    const engine = withWorkshares();
+    engine.ingestBlock(block({
+      label: 'a4',
+      number: 4,
+      parent: 'a3',
+      uncles: [{ hash: hash('u1'), parentHash: hash('a2') }]
+    }), '0');
+    const select = selectVisible({ ...DefaultFilters, hidden: ['workshare'] });
+    const first = engine.computeLayout(DefaultLayoutConfig, { heads, select });
+    const uncleY = nodeOf(first.nodes, 'uncle', 'u1').displayY;
+
+    engine.ingestBlock(block({ label: 'a5', number: 5, parent: 'a4' }), '0');
+    engine.computeLayout(DefaultLayoutConfig, { heads, select });
+    engine.ingestWorkshare(share('w3', 5, 'a5'), '0');
+    const { nodes } = engine.computeLayout(DefaultLayoutConfig, { heads, select });
+
+    // The uncle has no height, so a rebuilt layout would place it somewhere new
+    expect(nodeOf(nodes, 'uncle', 'u1').displayY).toBe(uncleY);
+    expect(nodeOf(nodes, 'block', 'a5').size).toBeCloseTo(DefaultLayoutConfig.sizes.zone * 1.1);
+    expect(nodes.some(node => node.type === 'workshare')).toBe(false);
+  });
+
+  it('rebuilds the filtered layout for a new select function even with the same filters', () => {
+    const engine = withWorkshares();
+    engine.ingestBlock(block({
+      label: 'a4',
+      number: 4,
+      parent: 'a3',
+      uncles: [{ hash: hash('u1'), parentHash: hash('a2') }]
+    }), '0');
+    const filters = { ...DefaultFilters, hidden: ['workshare'] };
+    // Uncles without a height get a random row, which only a rebuild draws again
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+    const first = engine.computeLayout(DefaultLayoutConfig, { heads, select: selectVisible(filters) });
+    random.mockReturnValue(0.5);
+    const { nodes } = engine.computeLayout(DefaultLayoutConfig, { heads, select: selectVisible(filters) });
+    random.mockRestore();
+
+    expect(nodeOf(nodes, 'uncle', 'u1').displayY).not.toBe(nodeOf(first.nodes, 'uncle', 'u1').displayY);
+  });
+
+  it('snapshots every loaded item whatever the view shows', () => {
+    const engine = withWorkshares();
+    engine.computeLayout(DefaultLayoutConfig, { heads, select: selectVisible({ ...DefaultFilters, nonCanonicalOnly: true }) });
+
+    const items = engine.snapshotItems({ heads });
+    expect(items).toHaveLength(engine.items().length);
+    expect(items.filter(item => item.orphaned).map(item => item.fullHash)).toEqual([hash('b2')]);
+  });
+});
+
+describe('clear', () => {
+  it('drops items, positions and locations', () => {
+    const engine = createChainEngine();
+    engine.ingestBlock(block({ label: 'a1', number: 1, location: '0x0001' }), '0');
+    engine.computeLayout();
+    engine.clear();
+
+    expect(engine.items()).toEqual([]);
+    expect(engine.locations()).toEqual({});
+    expect(engine.computeLayout().nodes).toEqual([]);
+  });
+});
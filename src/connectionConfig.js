@@ -0,0 +1,68 @@
+// Connection endpoint resolution and persistence
+//
+// Each endpoint is one zone node ({ wsUrl, httpUrl }). Endpoints are resolved
+// in order of precedence:
+//   1. URL query parameters (?ws=...&http=...), repeated once per zone
+//   2. Last used values saved in localStorage
+//   3. Build-time environment variables (REACT_APP_WS_URL, REACT_APP_HTTP_URL),
+//      comma-separated for several zones
+
+import { loadSetting, saveSetting } from './settings';
+
+const STORAGE_KEY = 'chainVisualizer.connection';
+
+// Pair up WS and HTTP URL lists into endpoint objects
+const zipEndpoints = (wsUrls, httpUrls) => {
+  const count = Math.max(wsUrls.length, httpUrls.length);
+  const endpoints = [];
+  for (let i = 0; i < count; i++) {
+    endpoints.push({ wsUrl: wsUrls[i] || '', httpUrl: httpUrls[i] || '' });
+  }
+  return endpoints;
+};
+
+const splitList = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const readQueryParams = () => {
+  if (typeof window === 'undefined') return [];
+  const params = new URLSearchParams(window.location.search);
+  return zipEndpoints(params.getAll('ws').filter(Boolean), params.getAll('http').filter(Boolean));
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object';
+
+// Storage may hold anything an older build or a hand edit left there
+const toEndpoint = (entry) => ({ wsUrl: String(entry.wsUrl || ''), httpUrl: String(entry.httpUrl || '') });
+
+const readStoredSettings = () => {
+  const stored = loadSetting(STORAGE_KEY, null);
+  if (!isObject(stored)) return [];
+  if (Array.isArray(stored.endpoints)) return stored.endpoints.filter(isObject).map(toEndpoint);
+  // Older single-endpoint format
+  if (stored.wsUrl || stored.httpUrl) return [toEndpoint(stored)];
+  return [];
+};
+
+const readEnvSettings = () => zipEndpoints(
+  splitList(process.env.REACT_APP_WS_URL),
+  splitList(process.env.REACT_APP_HTTP_URL)
+);
+
+export const emptyEndpoint = () => ({ wsUrl: '', httpUrl: '' });
+
+export const loadConnectionSettings = () => {
+  const query = readQueryParams();
+  if (query.length > 0) return { endpoints: query };
+
+  const stored = readStoredSettings();
+  if (stored.length > 0) return { endpoints: stored };
+
+  const env = readEnvSettings();
+  if (env.length > 0) return { endpoints: env };
+
+  return { endpoints: [emptyEndpoint()] };
+};
+
+export const saveConnectionSettings = (settings) => saveSetting(STORAGE_KEY, {
+  endpoints: settings.endpoints.map(({ wsUrl, httpUrl }) => ({ wsUrl, httpUrl }))
+});
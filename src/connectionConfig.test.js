@@ -0,0 +1,36 @@
+import { loadConnectionSettings, saveConnectionSettings } from './connectionConfig';
+
+const STORAGE_KEY = 'chainVisualizer.connection';
+
+const store = (value) => window.localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+describe('loadConnectionSettings', () => {
+  it('reads back what was saved', () => {
+    const endpoints = [{ wsUrl: 'ws://zone0', httpUrl: 'http://zone0' }, { wsUrl: 'ws://zone1', httpUrl: '' }];
+    saveConnectionSettings({ endpoints });
+    expect(loadConnectionSettings()).toEqual({ endpoints });
+  });
+
+  it('reads the older single-endpoint format', () => {
+    store({ wsUrl: 'ws://legacy', httpUrl: 'http://legacy' });
+    expect(loadConnectionSettings()).toEqual({ endpoints: [{ wsUrl: 'ws://legacy', httpUrl: 'http://legacy' }] });
+  });
+
+  it('drops entries that are not objects and fills in missing fields', () => {
+    store({ endpoints: [null, 'ws://bare', 7, { wsUrl: 'ws://kept' }, { httpUrl: 8545 }] });
+    expect(loadConnectionSettings()).toEqual({
+      endpoints: [{ wsUrl: 'ws://kept', httpUrl: '' }, { wsUrl: '', httpUrl: '8545' }]
+    });
+  });
+
+  it('falls back to an empty endpoint when storage holds nothing usable', () => {
+    store('ws://not-an-object');
+    expect(loadConnectionSettings()).toEqual({ endpoints: [{ wsUrl: '', httpUrl: '' }] });
+    store({ endpoints: [null, 3] });
+    expect(loadConnectionSettings()).toEqual({ endpoints: [{ wsUrl: '', httpUrl: '' }] });
+  });
+});
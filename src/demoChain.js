@@ -0,0 +1,230 @@
+// Synthetic Quai-shaped chain for the offline demo
+//
+// Produces the same payloads a node would: full blocks with woHeader, header.parentHash
+// ([prime, region, zone] parents) and order, newWorkshares notifications, uncles and
+// workshares included by later blocks, transactions with ETXs to other zones, and
+// occasional forks that either resolve into an uncle or reorg the zone onto the
+// competing branch. Output is a list of session entries ({ kind, zone, source,
+// payload }) so it goes through the same ingestion path as live and replayed data.
+// A seed makes the stream reproducible.
+
+export const DefaultDemoRates = {
+  blockInterval: 1000,   // ms between zone blocks, spread across all zones
+  workshares: 2,         // average workshares per zone block
+  transactions: 8,       // average transactions per zone block
+  etxs: 0.5,             // average ETXs a zone block sends to other zones
+  regionBlocks: 0.2,     // fraction of zone blocks that are also region blocks
+  primeBlocks: 0.3,      // fraction of region blocks that are also prime blocks
+  forks: 0.08,           // chance a zone block gets a competing sibling
+  reorgs: 0.4            // chance the competing sibling's branch wins
+};
+
+export const DefaultDemoZones = 3;
+
+// Full payloads kept for the detail panel
+const MaxKeptBlocks = 5000;
+
+// Small seeded PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const toHex = (value) => `0x${value.toString(16)}`;
+
+export const createDemoChain = ({ zones = DefaultDemoZones, rates = {}, seed = Date.now(), startTime = Date.now() } = {}) => {
+  const settings = { ...DefaultDemoRates, ...rates };
+  const random = createRandom(seed);
+  const blocks = new Map(); // hash -> full block payload
+
+  const randomHex = (bytes) => {
+    let hex = '0x';
+    for (let i = 0; i < bytes; i++) hex += Math.floor(random() * 256).toString(16).padStart(2, '0');
+    return hex;
+  };
+
+  // Poisson-ish count with the given mean
+  const randomCount = (mean) => {
+    let count = 0;
+    let budget = mean;
+    while (budget > 0) {
+      if (random() < Math.min(1, budget)) count++;
+      budget -= 1;
+    }
+    return count;
+  };
+
+  const genesis = randomHex(32);
+  let time = startTime;
+  const prime = { tip: genesis, number: 0 };
+  const regions = new Map();
+  const zoneStates = Array.from({ length: zones }, (_, index) => {
+    const location = [Math.floor(index / 3), index % 3];
+    if (!regions.has(location[0])) regions.set(location[0], { tip: genesis, number: 0 });
+    return {
+      zone: String(index),
+      location,
+      tip: { hash: genesis, number: 0 },
+      pendingWorkshares: [],
+      pendingUncles: [],
+      pendingEtxs: [], // ETXs sent to this zone, received by its next block
+      rival: null // competing sibling of the tip, if the last block forked
+    };
+  });
+
+  const miner = Array.from({ length: 4 }, () => randomHex(20));
+
+  // Address in a zone: the first byte carries the region and zone
+  const addressIn = ([region, zoneIndex]) => `0x${((region << 4) | zoneIndex).toString(16).padStart(2, '0')}${randomHex(19).slice(2)}`;
+
+  // Work a block adds to its chains, in made-up entropy units
+  const intrinsic = (block) => parseInt(block.woHeader.difficulty, 16) / 1e6;
+
+  // Entropy of a chain up to and including a block, at the given level
+  const entropyThrough = (hash, level) => {
+    const block = blocks.get(hash);
+    return block ? parseInt(block.header.parentEntropy[level], 16) + intrinsic(block) : 0;
+  };
+
+  const makeBlock = (state, parent, order, { primeParent, regionParent, primeNumber, regionNumber }) => {
+    const hash = randomHex(32);
+    const number = parent.number + 1;
+    const [region, zoneIndex] = state.location;
+    const gasLimit = 30000000;
+    const block = {
+      hash,
+      order: toHex(order),
+      woHeader: {
+        headerHash: hash,
+        parentHash: parent.hash,
+        number: toHex(number),
+        location: `0x${region.toString(16).padStart(2, '0')}${zoneIndex.toString(16).padStart(2, '0')}`,
+        timestamp: toHex(Math.floor(time / 1000)),
+        primaryCoinbase: miner[Math.floor(random() * miner.length)],
+        difficulty: toHex(Math.floor(1e9 + random() * 1e8))
+      },
+      header: {
+        parentHash: [primeParent, regionParent, parent.hash],
+        number: [toHex(primeNumber), toHex(regionNumber), toHex(number)],
+        gasLimit: toHex(gasLimit),
+        gasUsed: toHex(Math.floor(random() * gasLimit * 0.6)),
+        parentEntropy: [primeParent, regionParent, parent.hash].map((hash, level) => toHex(Math.round(entropyThrough(hash, level)))),
+        parentDeltaEntropy: [primeParent, regionParent, parent.hash].map(hash => toHex(Math.round(blocks.has(hash) ? intrinsic(blocks.get(hash)) : 0)))
+      },
+      uncles: [],
+      workshares: [],
+      transactions: [],
+      outboundEtxs: []
+    };
+    blocks.set(hash, block);
+    if (blocks.size > MaxKeptBlocks) blocks.delete(blocks.keys().next().value);
+    return block;
+  };
+
+  // Mine the next block of a zone and everything the network would report alongside it
+  const mineZoneBlock = (state) => {
+    const entries = [];
+    const { zone } = state;
+
+    // Resolve a previous fork: either keep building on the tip or switch to the rival
+    let parent = state.tip;
+    if (state.rival) {
+      const rival = state.rival;
+      state.rival = null;
+      if (random() < settings.reorgs) {
+        state.pendingUncles.push(state.tip);
+        parent = rival;
+      } else {
+        state.pendingUncles.push(rival);
+      }
+    }
+
+    const region = regions.get(state.location[0]);
+    let order = 2;
+    if (random() < settings.regionBlocks) order = random() < settings.primeBlocks ? 0 : 1;
+
+    const block = makeBlock(state, parent, order, {
+      primeParent: prime.tip,
+      regionParent: region.tip,
+      primeNumber: order === 0 ? prime.number + 1 : prime.number,
+      regionNumber: order <= 1 ? region.number + 1 : region.number
+    });
+    if (order <= 1) {
+      region.tip = block.hash;
+      region.number += 1;
+    }
+    if (order === 0) {
+      prime.tip = block.hash;
+      prime.number += 1;
+    }
+
+    // Include uncles and the workshares announced on top of the parent
+    block.uncles = state.pendingUncles.map(uncle => ({ hash: uncle.hash, parentHash: uncle.parentHash, number: toHex(uncle.number) }));
+    block.workshares = state.pendingWorkshares.filter(w => w.parentHash === parent.hash);
+    state.pendingUncles = [];
+    state.pendingWorkshares = [];
+
+    // Ordinary transactions, the ETXs other zones sent here, and new ETXs out of this zone
+    block.transactions = Array.from({ length: randomCount(settings.transactions) }, () => ({
+      hash: randomHex(32),
+      type: '0x0',
+      from: addressIn(state.location),
+      to: addressIn(state.location)
+    }));
+    block.transactions.push(...state.pendingEtxs);
+    state.pendingEtxs = [];
+    const others = zoneStates.filter(other => other !== state);
+    for (let i = others.length > 0 ? randomCount(settings.etxs) : 0; i > 0; i--) {
+      const destination = others[Math.floor(random() * others.length)];
+      const etx = { hash: randomHex(32), type: '0x1', from: addressIn(state.location), to: addressIn(destination.location) };
+      block.outboundEtxs.push(etx);
+      destination.pendingEtxs.push(etx);
+    }
+
+    state.tip = { hash: block.hash, parentHash: parent.hash, number: parent.number + 1 };
+    entries.push({ kind: 'block', zone, source: 'head', payload: block });
+
+    // A competing zone block at the same height, announced but not (yet) the head
+    if (order === 2 && random() < settings.forks) {
+      const rival = makeBlock(state, parent, 2, {
+        primeParent: prime.tip,
+        regionParent: region.tip,
+        primeNumber: prime.number,
+        regionNumber: region.number
+      });
+      state.rival = { hash: rival.hash, parentHash: parent.hash, number: parent.number + 1 };
+      entries.push({ kind: 'block', zone, source: 'parent', payload: rival });
+    }
+
+    // Workshares mined on top of the new tip, included by the next block
+    for (let i = randomCount(settings.workshares); i > 0; i--) {
+      const workshare = { hash: randomHex(32), parentHash: block.hash, number: toHex(parent.number + 2), type: 'workshare' };
+      state.pendingWorkshares.push({ hash: workshare.hash, parentHash: workshare.parentHash, number: workshare.number });
+      entries.push({ kind: 'workshare', zone, source: null, payload: workshare });
+    }
+
+    return entries;
+  };
+
+  let next = 0;
+
+  return {
+    rates: settings,
+    locations: zoneStates.map(state => state.location),
+    getBlock: (hash) => blocks.get(hash) || null,
+
+    // Advance by one zone block, taking zones in turn
+    tick() {
+      time += settings.blockInterval;
+      const state = zoneStates[next];
+      next = (next + 1) % zoneStates.length;
+      return mineZoneBlock(state);
+    }
+  };
+};
@@ -0,0 +1,55 @@
+import { createDemoChain } from './demoChain';
+import { createChainEngine } from './chainEngine';
+
+const run = (options, ticks) => {
+  const chain = createDemoChain({ seed: 42, startTime: 1700000000000, ...options });
+  const entries = [];
+  for (let i = 0; i < ticks; i++) entries.push(...chain.tick());
+  return entries;
+};
+
+const blocksOf = (entries) => entries.filter(entry => entry.kind === 'block').map(entry => entry.payload);
+
+describe('createDemoChain', () => {
+  it('produces the same stream for the same seed', () => {
+    expect(run({}, 200)).toEqual(run({}, 200));
+    expect(run({ seed: 7 }, 200)).not.toEqual(run({}, 200));
+  });
+
+  it('links each block to a parent at the height below it', () => {
+    const blocks = blocksOf(run({}, 300));
+    const byHash = new Map(blocks.map(block => [block.hash, block]));
+
+    blocks.forEach(block => {
+      expect(['0x0', '0x1', '0x2']).toContain(block.order);
+      expect(block.header.parentHash).toHaveLength(3);
+      expect(block.header.parentHash[2]).toBe(block.woHeader.parentHash);
+      const parent = byHash.get(block.woHeader.parentHash);
+      const number = parseInt(block.woHeader.number, 16);
+      expect(parent ? parseInt(parent.woHeader.number, 16) : 0).toBe(number - 1);
+    });
+    expect(blocks.some(block => block.order === '0x0')).toBe(true);
+  });
+
+  it('includes workshares in blocks the engine can resolve', () => {
+    const entries = run({ workshares: 3 }, 300);
+    const engine = createChainEngine();
+    entries.forEach(({ kind, zone, payload }) => {
+      if (kind === 'block') engine.ingestBlock(payload, zone);
+      else engine.ingestWorkshare(payload, zone);
+    });
+
+    const included = engine.items().filter(item => item.type === 'workshare' && item.includedIn);
+    expect(included.length).toBeGreaterThan(0);
+    included.forEach(item => expect(engine.hasHash(item.includedIn)).toBe(true));
+  });
+
+  it('reorgs onto a competing branch when reorgs are likely', () => {
+    const entries = run({ forks: 1, reorgs: 1, regionBlocks: 0 }, 60);
+    // Competing siblings come as parent fetches; a head built on one is a reorg
+    const rivals = new Set(entries.filter(entry => entry.source === 'parent').map(entry => entry.payload.hash));
+    const reorgs = entries.filter(entry => entry.source === 'head' && rivals.has(entry.payload.woHeader.parentHash));
+    expect(rivals.size).toBeGreaterThan(0);
+    expect(reorgs.length).toBeGreaterThan(0);
+  });
+});
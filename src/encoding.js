@@ -0,0 +1,79 @@
+// Visual encodings of header weight along each chain
+//
+// A metric (difficulty, parent entropy or parent delta entropy, read at the item's own
+// chain level) is shown either as the fill intensity of each block or as a sparkline
+// under each chain lane, scaled to the lane's range. Block size follows either the
+// workshare count or the block's weight.
+
+import * as d3 from 'd3';
+import { laneKey } from './layout';
+import { ChainTypes } from './itemStore';
+import { loadSetting, saveSetting } from './settings';
+
+const STORAGE_KEY = 'chainVisualizer.encoding';
+
+export const EncodingMetrics = {
+  none: 'None',
+  difficulty: 'Difficulty',
+  parentEntropy: 'Parent entropy',
+  parentDeltaEntropy: 'Parent ΔS'
+};
+
+export const EncodingStyles = { intensity: 'Color intensity', sparkline: 'Lane sparkline' };
+
+export const SizeModes = { workshares: 'Workshare count', weight: 'Weight' };
+
+export const DefaultEncoding = { metric: 'none', style: 'intensity', sizeBy: 'workshares' };
+
+// Sparkline band under a lane, below the largest blocks
+const SparklineOffset = 6;
+const SparklineHeight = 20;
+
+export const loadEncoding = () => loadSetting(STORAGE_KEY, DefaultEncoding);
+
+export const saveEncoding = (encoding) => saveSetting(STORAGE_KEY, encoding);
+
+const LevelOf = { primeBlock: 0, regionBlock: 1, block: 2 };
+
+// Metric value of a chain item, or null when its header didn't carry it
+export const metricValue = (item, metric) => {
+  if (metric === 'difficulty') return item.difficulty ?? null;
+  const values = item[metric];
+  if (!Array.isArray(values)) return null;
+  return values[LevelOf[item.type]] ?? null;
+};
+
+// Returns copies of the items with the fill for the intensity style (null keeps the
+// type color), and the sparklines for the sparkline style
+export const applyEncoding = ({ items: layoutItems, encoding, colors, laneBaseY, maxBlockSize }) => {
+  const items = layoutItems.map(item => ({ ...item, fill: null }));
+  if (encoding.metric === 'none') return { items, sparklines: [] };
+
+  const lanes = d3.group(
+    items.filter(item => ChainTypes.includes(item.type) && !item.orphaned && metricValue(item, encoding.metric) !== null),
+    item => laneKey(item.type, item.zone)
+  );
+
+  const sparklines = [];
+  lanes.forEach((laneItems, lane) => {
+    const [min, max] = d3.extent(laneItems, item => metricValue(item, encoding.metric));
+    const scale = d3.scaleLinear().domain(min === max ? [min - 1, max + 1] : [min, max]).range([0, 1]);
+    const type = laneItems[0].type;
+
+    if (encoding.style === 'intensity') {
+      const base = d3.color(colors[type]);
+      const interpolate = d3.interpolateRgb(base.darker(1.5), base.brighter(0.8));
+      laneItems.forEach(item => { item.fill = interpolate(scale(metricValue(item, encoding.metric))); });
+      return;
+    }
+
+    const top = (laneBaseY.get(lane) ?? 0) + maxBlockSize / 2 + SparklineOffset;
+    const points = laneItems
+      .map(item => [item.displayX + item.size / 2, top + SparklineHeight * (1 - scale(metricValue(item, encoding.metric)))])
+      .sort((a, b) => a[0] - b[0]);
+    sparklines.push({ id: `sparkline-${lane}`, color: colors[type], points, top, height: SparklineHeight });
+  });
+  return { items, sparklines };
+};
+
+export const sparklinePath = (sparkline) => d3.line()(sparkline.points);
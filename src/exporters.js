@@ -0,0 +1,169 @@
+// Exports of the current view (SVG, PNG) and of the item graph (JSON, Graphviz DOT)
+
+import * as d3 from 'd3';
+import { drawStaticSvgScene } from './svgRenderer';
+import { typeLabel } from './rendering';
+import { SharedTypes, ChainTypes, itemKey } from './itemStore';
+
+const SvgNamespace = 'http://www.w3.org/2000/svg';
+
+// Browsers refuse to allocate canvases much larger than this on a side
+const MaxPngSide = 16384;
+
+// Room left of the graph for the legend in whole-graph exports
+const GraphMarginLeft = 200;
+const GraphMargin = 40;
+
+export const exportTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+export const downloadFile = (content, type, filename) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Firefox and Safari start the download after the click returns, so keep the URL alive a little longer
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Standalone SVG of the scene. area 'view' keeps the on-screen viewport and zoom,
+// 'graph' frames every item at scale 1. Legend and status come from the live SVG;
+// blocks, links and labels are redrawn in their final state with inline styles so
+// in-flight transitions and stylesheet rules don't leak into the file.
+export const buildSvgExport = ({ svgNode, scene, transform, area, selected, pinned }) => {
+  const bounds = svgNode.getBoundingClientRect();
+  let width = Math.round(bounds.width);
+  let height = Math.round(bounds.height);
+  let viewTransform = transform;
+
+  if (area === 'graph' && scene.items.length > 0) {
+    const minX = Math.min(scene.labelX - 120, d3.min(scene.items, d => d.displayX));
+    const minY = d3.min(scene.items, d => d.displayY) - 20;
+    const maxX = d3.max(scene.items, d => d.displayX + d.size);
+    const maxY = d3.max(scene.items, d => d.displayY + d.size);
+    width = Math.ceil(maxX - minX + GraphMarginLeft + GraphMargin);
+    height = Math.ceil(Math.max(maxY - minY + 2 * GraphMargin, 250));
+    viewTransform = d3.zoomIdentity.translate(GraphMarginLeft - minX, GraphMargin - minY);
+  }
+
+  const clone = svgNode.cloneNode(true);
+  const svg = d3.select(clone)
+    .attr('xmlns', SvgNamespace)
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('class', null);
+  svg.select('.tooltip').remove();
+  if (area === 'graph') svg.select('.status').remove();
+  svg.insert('rect', ':first-child')
+    .attr('width', width)
+    .attr('height', height)
+    .attr('fill', scene.colors.background);
+
+  const mainGroup = svg.select('.main-group');
+  mainGroup.selectAll('*').remove();
+  mainGroup.attr('transform', viewTransform.toString());
+  drawStaticSvgScene(mainGroup, scene, { selected, pinned });
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+// Rasterize exported SVG markup at the given scale
+export const svgToPng = ({ markup, width, height }, scale) => new Promise((resolve, reject) => {
+  const factor = Math.min(scale, MaxPngSide / width, MaxPngSide / height);
+  if (factor < scale) {
+    console.warn(`PNG export scaled down to ${factor.toFixed(2)}x to stay within ${MaxPngSide}px`);
+  }
+
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * factor);
+    canvas.height = Math.round(height * factor);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(factor, factor);
+    ctx.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Failed to render SVG for PNG export'));
+  };
+  image.src = url;
+});
+
+const graphItem = (item) => ({
+  id: item.id,
+  type: item.type,
+  zone: item.zone,
+  hash: item.fullHash,
+  parentHash: item.fullParentHash,
+  number: item.number,
+  order: item.order,
+  includedIn: item.includedIn || null,
+  orphaned: Boolean(item.orphaned)
+});
+
+// The item graph with chain heads, for postmortems and scripts
+export const graphSnapshot = ({ items, heads, zoneLabel }) => ({
+  exportedAt: new Date().toISOString(),
+  zones: Object.fromEntries(Array.from(new Set(items.map(item => item.zone))).map(zone => [zone, zoneLabel(zone)])),
+  heads,
+  items: items.map(graphItem)
+});
+
+export const graphToJson = (graph) => JSON.stringify(graphSnapshot(graph), null, 2);
+
+const dotString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+// Graphviz digraph: parent links point from child to parent like the arrows on screen,
+// inclusions are dashed and coincident representations of one block are dotted.
+// Zone items are clustered per zone; prime and region blocks sit outside the clusters.
+export const graphToDot = ({ items, colors, zoneLabel }) => {
+  const lines = [
+    'digraph chain {',
+    '  rankdir=RL;',
+    `  node [shape=box, style=filled, fontname="monospace", fontsize=10, fontcolor=${dotString(colors.blockText)}];`
+  ];
+
+  const node = (item) => {
+    const label = [typeLabel(item.type), `${item.fullHash.slice(0, 10)}…`, item.number !== null ? `#${item.number}` : null]
+      .filter(Boolean).join('\n');
+    const style = item.orphaned ? `, style="filled,dashed", color=${dotString(colors.orphan)}, penwidth=2` : '';
+    return `${dotString(item.id)} [label=${dotString(label)}, fillcolor=${dotString(colors[item.type])}${style}];`;
+  };
+
+  items.filter(item => SharedTypes.includes(item.type)).forEach(item => lines.push(`  ${node(item)}`));
+
+  d3.group(items.filter(item => !SharedTypes.includes(item.type)), item => item.zone).forEach((zoneItems, zone) => {
+    lines.push(`  subgraph ${dotString(`cluster_zone_${zone}`)} {`);
+    lines.push(`    label=${dotString(zoneLabel(zone))};`);
+    zoneItems.forEach(item => lines.push(`    ${node(item)}`));
+    lines.push('  }');
+  });
+
+  const byId = new Map(items.map(item => [item.id, item]));
+  const findItem = (type, hash, zone) => byId.get(itemKey(type, hash, zone));
+
+  items.forEach(item => {
+    const parentType = ['uncle', 'workshare'].includes(item.type) ? 'block' : item.type;
+    const parent = item.fullParentHash && findItem(parentType, item.fullParentHash, item.zone);
+    if (parent) lines.push(`  ${dotString(item.id)} -> ${dotString(parent.id)};`);
+
+    if (item.includedIn) {
+      const including = findItem('block', item.includedIn, item.zone);
+      if (including) lines.push(`  ${dotString(including.id)} -> ${dotString(item.id)} [style=dashed, label="includes"];`);
+    }
+  });
+
+  d3.group(items.filter(item => ChainTypes.includes(item.type)), item => item.fullHash).forEach(group => {
+    const [dominant, ...rest] = [...group].sort((a, b) => ChainTypes.indexOf(a.type) - ChainTypes.indexOf(b.type));
+    rest.forEach(item => lines.push(`  ${dotString(dominant.id)} -> ${dotString(item.id)} [style=dotted, arrowhead=none];`));
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,79 @@
+// Keyboard navigation and screen reader labels for the block graph
+//
+// Left and Right follow parent links within an item's chain; Right prefers a canonical
+// child. Up and Down move to the nearest item above or below at the same height, which
+// steps between the prime, region and zone representations of a block and through
+// competing blocks stacked at that height.
+
+import { ChainTypes } from './itemStore';
+
+export const NavigationKeys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'];
+
+export const KeyboardHelp = 'Arrow keys move between blocks: left to the parent, right to a child, ' +
+  'up and down between representations and blocks at the same height. Enter opens details, Escape closes them.';
+
+const TypeNames = {
+  primeBlock: 'Prime block',
+  regionBlock: 'Region block',
+  block: 'Zone block',
+  uncle: 'Uncle',
+  workshare: 'Workshare'
+};
+
+// Spoken description of an item
+export const describeItem = (item, zoneLabel) => {
+  const parts = [
+    TypeNames[item.type] || item.type,
+    item.number !== null ? `number ${item.number}` : null,
+    `hash ${item.hash}`,
+    zoneLabel(item.zone)
+  ];
+  if (ChainTypes.includes(item.type)) parts.push(item.orphaned ? 'orphaned' : 'canonical');
+  if (item.includedIn) parts.push(`included in ${item.includedIn.slice(0, 8)}`);
+  return parts.filter(Boolean).join(', ');
+};
+
+// DOM id of an item's element, unique per visualizer instance
+export const itemElementId = (prefix, item) => `${prefix}-${item.id}`.replace(/[^a-zA-Z0-9_-]/g, '-');
+
+// Chain the item's parent link points into: its own for chain blocks, the zone chain otherwise
+const parentType = (item) => (ChainTypes.includes(item.type) ? item.type : 'block');
+
+const sameChain = (a, b) => a.type === b.type && (a.type !== 'block' || a.zone === b.zone);
+
+const centerY = (item) => item.displayY + item.size / 2;
+
+// The item the key moves to from current, or null when there is none that way
+export const navigate = (items, current, key) => {
+  if (key === 'ArrowLeft') {
+    return items.find(item => item.fullHash === current.fullParentHash && item.type === parentType(current) &&
+      (item.type !== 'block' || item.zone === current.zone)) || null;
+  }
+
+  if (key === 'ArrowRight') {
+    if (!ChainTypes.includes(current.type)) return null;
+    const children = items.filter(item => item.fullParentHash === current.fullHash && sameChain(item, current));
+    children.sort((a, b) => Number(Boolean(a.orphaned)) - Number(Boolean(b.orphaned)) || a.displayY - b.displayY);
+    return children[0] || null;
+  }
+
+  if (key === 'ArrowUp' || key === 'ArrowDown') {
+    const direction = key === 'ArrowUp' ? -1 : 1;
+    const candidates = items.filter(item => item.id !== current.id &&
+      (item.fullHash === current.fullHash || (item.zone === current.zone && item.number === current.number && item.number !== null)) &&
+      (centerY(item) - centerY(current)) * direction > 0);
+    candidates.sort((a, b) => Math.abs(centerY(a) - centerY(current)) - Math.abs(centerY(b) - centerY(current)));
+    return candidates[0] || null;
+  }
+
+  return null;
+};
+
+// Where keyboard focus starts: the selected block if it is shown, else the newest zone block
+export const initialFocus = (items, selectedHash) => {
+  const selected = items.filter(item => item.fullHash === selectedHash);
+  if (selected.length > 0) return selected.find(item => item.type === 'block') || selected[0];
+  const zoneBlocks = items.filter(item => item.type === 'block' && !item.orphaned);
+  if (zoneBlocks.length === 0) return items[0] || null;
+  return zoneBlocks.reduce((newest, item) => (item.displayX > newest.displayX ? item : newest));
+};
@@ -0,0 +1,67 @@
+import { navigate, initialFocus, describeItem, itemElementId } from './graphNavigation';
+
+// a1 is a prime block (with region and zone representations); a2 and b2 compete at height 2
+const item = (type, label, { number, parent, y, zone = '0', orphaned = false, x = number * 100 } = {}) => ({
+  id: `${type}:${label}:${zone}`,
+  type,
+  hash: label,
+  fullHash: label,
+  fullParentHash: parent || null,
+  number,
+  zone,
+  orphaned,
+  displayX: x,
+  displayY: y,
+  size: 50
+});
+
+const items = [
+  item('primeBlock', 'a1', { number: 1, y: 100 }),
+  item('regionBlock', 'a1', { number: 1, y: 200 }),
+  item('block', 'a1', { number: 1, y: 300 }),
+  item('block', 'b2', { number: 2, parent: 'a1', y: 300, orphaned: true }),
+  item('block', 'a2', { number: 2, parent: 'a1', y: 370 }),
+  item('workshare', 'w3', { number: 3, parent: 'a2', y: 500 })
+];
+const find = (type, label) => items.find(i => i.type === type && i.fullHash === label);
+
+describe('navigate', () => {
+  it('moves left to the parent in the same chain, from workshares to the zone block', () => {
+    expect(navigate(items, find('block', 'a2'), 'ArrowLeft')).toBe(find('block', 'a1'));
+    expect(navigate(items, find('workshare', 'w3'), 'ArrowLeft')).toBe(find('block', 'a2'));
+    expect(navigate(items, find('primeBlock', 'a1'), 'ArrowLeft')).toBeNull();
+  });
+
+  it('moves right to a canonical child before an orphaned one', () => {
+    expect(navigate(items, find('block', 'a1'), 'ArrowRight')).toBe(find('block', 'a2'));
+    expect(navigate(items, find('workshare', 'w3'), 'ArrowRight')).toBeNull();
+  });
+
+  it('steps up and down through representations and competing blocks', () => {
+    expect(navigate(items, find('block', 'a1'), 'ArrowUp')).toBe(find('regionBlock', 'a1'));
+    expect(navigate(items, find('regionBlock', 'a1'), 'ArrowUp')).toBe(find('primeBlock', 'a1'));
+    expect(navigate(items, find('block', 'b2'), 'ArrowDown')).toBe(find('block', 'a2'));
+    expect(navigate(items, find('block', 'a2'), 'ArrowDown')).toBeNull();
+  });
+});
+
+describe('initialFocus', () => {
+  it('starts on the selected zone block, else the newest canonical one', () => {
+    expect(initialFocus(items, 'a1')).toBe(find('block', 'a1'));
+    expect(initialFocus(items, null)).toBe(find('block', 'a2'));
+    expect(initialFocus([], null)).toBeNull();
+  });
+});
+
+describe('labels', () => {
+  it('describes an item for screen readers', () => {
+    const zoneLabel = (zone) => `Zone ${zone}`;
+    expect(describeItem(find('block', 'b2'), zoneLabel)).toBe('Zone block, number 2, hash b2, Zone 0, orphaned');
+    expect(describeItem({ ...find('workshare', 'w3'), includedIn: '0x1234567890' }, zoneLabel))
+      .toBe('Workshare, number 3, hash w3, Zone 0, included in 0x123456');
+  });
+
+  it('makes element ids safe for the DOM', () => {
+    expect(itemElementId('cv1', { id: 'block:0xab:0' })).toBe('cv1-block-0xab-0');
+  });
+});
@@ -0,0 +1,146 @@
+// Chain health metrics computed from the loaded items
+//
+// Block times come from header timestamps along each chain's canonical branch (walked
+// back from its head), uncle rate and region/prime coincidence from the canonical zone
+// blocks, and propagation delay from the local receipt time of head blocks minus their
+// header time. Each metric is graded against a warn and an alert threshold; a null
+// threshold is not checked.
+
+import { loadSetting, saveSetting } from './settings';
+
+const STORAGE_KEY = 'chainVisualizer.health';
+
+// higherIsWorse false means the metric is graded when it falls below its thresholds
+export const HealthMetrics = [
+  { key: 'primeInterval', label: 'Prime block time', unit: 's', higherIsWorse: true },
+  { key: 'regionInterval', label: 'Region block time', unit: 's', higherIsWorse: true },
+  { key: 'zoneInterval', label: 'Zone block time', unit: 's', higherIsWorse: true },
+  { key: 'uncleRate', label: 'Uncle rate', unit: '%', higherIsWorse: true },
+  { key: 'regionRatio', label: 'Region / zone', unit: '%', higherIsWorse: false },
+  { key: 'primeRatio', label: 'Prime / zone', unit: '%', higherIsWorse: false },
+  { key: 'propagation', label: 'Propagation', unit: 'ms', higherIsWorse: true }
+];
+
+export const DefaultHealthSettings = {
+  windowSize: 50, // canonical blocks per chain
+  thresholds: {
+    primeInterval: { warn: 120, alert: 300 },
+    regionInterval: { warn: 40, alert: 100 },
+    zoneInterval: { warn: 10, alert: 20 },
+    uncleRate: { warn: 0.1, alert: 0.25 },
+    regionRatio: { warn: null, alert: null },
+    primeRatio: { warn: null, alert: null },
+    propagation: { warn: 2000, alert: 5000 }
+  }
+};
+
+// Receipt samples kept for the propagation metric
+export const MaxPropagationSamples = 500;
+
+const mergeSettings = (stored) => ({
+  ...DefaultHealthSettings,
+  ...stored,
+  thresholds: Object.fromEntries(HealthMetrics.map(({ key }) => [
+    key,
+    { ...DefaultHealthSettings.thresholds[key], ...(stored.thresholds && stored.thresholds[key]) }
+  ]))
+});
+
+export const loadHealthSettings = () => {
+  const stored = loadSetting(STORAGE_KEY, null);
+  return stored ? mergeSettings(stored) : DefaultHealthSettings;
+};
+
+export const saveHealthSettings = (settings) => saveSetting(STORAGE_KEY, settings);
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length);
+
+// 'ok', 'warn' or 'alert' for a value, or 'none' when there is nothing to grade
+export const gradeMetric = (metric, value, thresholds) => {
+  if (value === null || value === undefined || !thresholds) return 'none';
+  const exceeds = (limit) => limit !== null && limit !== undefined && (metric.higherIsWorse ? value >= limit : value <= limit);
+  if (exceeds(thresholds.alert)) return 'alert';
+  if (exceeds(thresholds.warn)) return 'warn';
+  return 'ok';
+};
+
+// Values in display units: seconds, percent or milliseconds
+export const formatMetric = (metric, value) => {
+  if (value === null || value === undefined) return '–';
+  if (metric.unit === '%') return `${(value * 100).toFixed(1)}%`;
+  if (metric.unit === 'ms') return `${Math.round(value)} ms`;
+  return `${value.toFixed(1)} s`;
+};
+
+const chainLevel = (key) => key.split(':')[0];
+
+export const computeHealthMetrics = ({ items, heads, propagation, windowSize }) => {
+  // Lookup per chain: zone blocks are per zone, region and prime blocks are shared
+  const lookups = new Map();
+  const lookupFor = (key) => {
+    if (!lookups.has(key)) lookups.set(key, new Map());
+    return lookups.get(key);
+  };
+  const uncles = [];
+  items.forEach(item => {
+    if (item.type === 'block') lookupFor(`block:${item.zone}`).set(item.fullHash, item);
+    else if (item.type === 'regionBlock' || item.type === 'primeBlock') lookupFor(item.type).set(item.fullHash, item);
+    else if (item.type === 'uncle') uncles.push(item);
+  });
+
+  // Newest windowSize + 1 canonical items of a chain, newest first
+  const canonical = (key) => {
+    const lookup = lookupFor(key.startsWith('block:') ? key : chainLevel(key));
+    const chain = [];
+    for (let item = lookup.get(heads[key]); item && chain.length <= windowSize; item = lookup.get(item.fullParentHash)) {
+      chain.push(item);
+    }
+    return chain;
+  };
+
+  const intervals = { primeBlock: [], regionBlock: [], block: [] };
+  const perChain = {};
+  let zoneBlocks = 0;
+  let regionCoincident = 0;
+  let primeCoincident = 0;
+  const canonicalZoneHashes = new Set();
+
+  Object.keys(heads).forEach(key => {
+    const chain = canonical(key);
+    const samples = [];
+    for (let i = 0; i + 1 < chain.length; i++) {
+      const newer = chain[i].headerTime;
+      const older = chain[i + 1].headerTime;
+      if (newer !== null && newer !== undefined && older !== null && older !== undefined) samples.push(newer - older);
+    }
+    intervals[chainLevel(key)].push(...samples);
+    perChain[key] = mean(samples);
+
+    if (chainLevel(key) === 'block') {
+      chain.slice(0, windowSize).forEach(block => {
+        zoneBlocks += 1;
+        canonicalZoneHashes.add(block.fullHash);
+        const order = parseInt(block.order, 16);
+        if (order <= 1) regionCoincident += 1;
+        if (order === 0) primeCoincident += 1;
+      });
+    }
+  });
+
+  const includedUncles = uncles.filter(uncle => canonicalZoneHashes.has(uncle.includedIn)).length;
+  const delays = propagation.slice(-windowSize).map(sample => sample.receivedAt - sample.headerTime * 1000);
+
+  return {
+    values: {
+      primeInterval: mean(intervals.primeBlock),
+      regionInterval: mean(intervals.regionBlock),
+      zoneInterval: mean(intervals.block),
+      uncleRate: zoneBlocks > 0 ? includedUncles / zoneBlocks : null,
+      regionRatio: zoneBlocks > 0 ? regionCoincident / zoneBlocks : null,
+      primeRatio: zoneBlocks > 0 ? primeCoincident / zoneBlocks : null,
+      propagation: mean(delays)
+    },
+    perChain,
+    zoneBlocks
+  };
+};
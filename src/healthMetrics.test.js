@@ -0,0 +1,72 @@
+import { computeHealthMetrics, gradeMetric, formatMetric, HealthMetrics, DefaultHealthSettings } from './healthMetrics';
+
+const metric = (key) => HealthMetrics.find(m => m.key === key);
+
+// Zone blocks b1..b5 every 10 seconds; b2 and b4 are also region blocks, b4 a prime block
+const zoneBlock = (n, order = '0x2') => ({
+  type: 'block', zone: '0', fullHash: `b${n}`, fullParentHash: `b${n - 1}`, headerTime: n * 10, order
+});
+
+const items = [
+  zoneBlock(1),
+  zoneBlock(2, '0x1'),
+  zoneBlock(3),
+  zoneBlock(4, '0x0'),
+  zoneBlock(5),
+  { type: 'regionBlock', zone: '0', fullHash: 'b2', fullParentHash: 'r0', headerTime: 20 },
+  { type: 'regionBlock', zone: '0', fullHash: 'b4', fullParentHash: 'b2', headerTime: 40 },
+  { type: 'uncle', zone: '0', fullHash: 'u1', includedIn: 'b3' },
+  { type: 'uncle', zone: '0', fullHash: 'u2', includedIn: 'gone' }
+];
+
+describe('computeHealthMetrics', () => {
+  it('reads block times, uncle rate and coincidence along the canonical chains', () => {
+    const { values, perChain, zoneBlocks } = computeHealthMetrics({
+      items,
+      heads: { 'block:0': 'b5', regionBlock: 'b4' },
+      propagation: [],
+      windowSize: 10
+    });
+
+    expect(zoneBlocks).toBe(5);
+    expect(values).toMatchObject({ zoneInterval: 10, regionInterval: 20, primeInterval: null, uncleRate: 0.2, regionRatio: 0.4, primeRatio: 0.2, propagation: null });
+    expect(perChain).toEqual({ 'block:0': 10, regionBlock: 20 });
+  });
+
+  it('looks back windowSize blocks from the head', () => {
+    const { zoneBlocks, values } = computeHealthMetrics({ items, heads: { 'block:0': 'b5' }, propagation: [], windowSize: 2 });
+    expect(zoneBlocks).toBe(2);
+    expect(values.uncleRate).toBe(0);
+  });
+
+  it('averages propagation over the newest samples', () => {
+    const propagation = [{ headerTime: 1, receivedAt: 9000 }, { headerTime: 10, receivedAt: 10500 }, { headerTime: 20, receivedAt: 21500 }];
+    const { values } = computeHealthMetrics({ items, heads: {}, propagation, windowSize: 2 });
+    expect(values.propagation).toBe(1000);
+  });
+});
+
+describe('gradeMetric', () => {
+  it('grades against the warn and alert thresholds', () => {
+    const thresholds = DefaultHealthSettings.thresholds.zoneInterval;
+    expect(gradeMetric(metric('zoneInterval'), 5, thresholds)).toBe('ok');
+    expect(gradeMetric(metric('zoneInterval'), 10, thresholds)).toBe('warn');
+    expect(gradeMetric(metric('zoneInterval'), 25, thresholds)).toBe('alert');
+    expect(gradeMetric(metric('zoneInterval'), null, thresholds)).toBe('none');
+  });
+
+  it('grades ratios that fall too low when higher is better', () => {
+    const thresholds = { warn: 0.1, alert: null };
+    expect(gradeMetric(metric('regionRatio'), 0.05, thresholds)).toBe('warn');
+    expect(gradeMetric(metric('regionRatio'), 0.2, thresholds)).toBe('ok');
+  });
+});
+
+describe('formatMetric', () => {
+  it('shows each unit', () => {
+    expect(formatMetric(metric('uncleRate'), 0.125)).toBe('12.5%');
+    expect(formatMetric(metric('propagation'), 1234.4)).toBe('1234 ms');
+    expect(formatMetric(metric('zoneInterval'), 9.96)).toBe('10.0 s');
+    expect(formatMetric(metric('zoneInterval'), null)).toBe('–');
+  });
+});
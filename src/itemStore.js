@@ -0,0 +1,128 @@
+// Indexed store for visualizer items (block representations, uncles and workshares)
+//
+// Items are keyed by type + hash (+ zone for per-zone types) and indexed by hash,
+// by zone height and by parent hash so lookups during ingestion and layout are O(1).
+// Every mutation is recorded in a change set that the layout consumes to update
+// only what moved.
+
+// Types shared by all zones; zone blocks, uncles and workshares are kept per zone
+export const SharedTypes = ['primeBlock', 'regionBlock'];
+
+export const ChainTypes = ['primeBlock', 'regionBlock', 'block'];
+
+export const itemKey = (type, hash, zone) => (SharedTypes.includes(type) ? `${type}:${hash}` : `${type}:${zone}:${hash}`);
+
+// Zone height an item sits at, shared by all its representations
+export const columnKey = (zone, number) => `${zone}@${number}`;
+
+const EmptySet = new Set();
+
+const addToIndex = (index, key, item) => {
+  if (key === null || key === undefined) return;
+  let bucket = index.get(key);
+  if (!bucket) {
+    bucket = new Set();
+    index.set(key, bucket);
+  }
+  bucket.add(item);
+};
+
+const removeFromIndex = (index, key, item) => {
+  const bucket = index.get(key);
+  if (!bucket) return;
+  bucket.delete(item);
+  if (bucket.size === 0) index.delete(key);
+};
+
+export const createItemStore = () => {
+  const byKey = new Map();           // item key -> item
+  const byHash = new Map();          // full hash -> Set of representations
+  const byColumn = new Map();        // zone height -> Set of items
+  const byParent = new Map();        // full parent hash -> Set of children
+  const workshareCounts = new Map(); // full parent hash -> workshares pointing at it
+
+  let changes = { added: new Set(), removed: new Set(), updated: new Set() };
+
+  const index = (item) => {
+    addToIndex(byHash, item.fullHash, item);
+    if (item.number !== null) addToIndex(byColumn, columnKey(item.zone, item.number), item);
+    addToIndex(byParent, item.fullParentHash, item);
+    if (item.type === 'workshare' && item.fullParentHash) {
+      workshareCounts.set(item.fullParentHash, (workshareCounts.get(item.fullParentHash) || 0) + 1);
+    }
+  };
+
+  const unindex = (item) => {
+    removeFromIndex(byHash, item.fullHash, item);
+    if (item.number !== null) removeFromIndex(byColumn, columnKey(item.zone, item.number), item);
+    removeFromIndex(byParent, item.fullParentHash, item);
+    if (item.type === 'workshare' && item.fullParentHash) {
+      const count = (workshareCounts.get(item.fullParentHash) || 1) - 1;
+      if (count > 0) workshareCounts.set(item.fullParentHash, count);
+      else workshareCounts.delete(item.fullParentHash);
+    }
+  };
+
+  return {
+    get: (type, hash, zone) => byKey.get(itemKey(type, hash, zone)),
+    getById: (id) => byKey.get(id),
+    hasHash: (hash) => byHash.has(hash),
+    representations: (hash) => byHash.get(hash) || EmptySet,
+    column: (zone, number) => byColumn.get(columnKey(zone, number)) || EmptySet,
+    children: (hash) => byParent.get(hash) || EmptySet,
+    workshareCount: (hash) => workshareCounts.get(hash) || 0,
+    items: () => Array.from(byKey.values()),
+    size: () => byKey.size,
+
+    // Add an item unless one with the same key exists; returns whether it was added
+    add(item) {
+      if (byKey.has(item.id)) return false;
+      byKey.set(item.id, item);
+      index(item);
+      changes.removed.delete(item);
+      changes.added.add(item);
+      return true;
+    },
+
+    // Apply field changes to a stored item in place
+    update(item, fields) {
+      unindex(item);
+      Object.assign(item, fields);
+      index(item);
+      if (!changes.added.has(item)) changes.updated.add(item);
+    },
+
+    remove(item) {
+      if (byKey.get(item.id) !== item) return false;
+      byKey.delete(item.id);
+      unindex(item);
+      if (changes.added.has(item)) {
+        changes.added.delete(item);
+      } else {
+        changes.updated.delete(item);
+        changes.removed.add(item);
+      }
+      return true;
+    },
+
+    clear() {
+      byKey.forEach(item => {
+        if (!changes.added.has(item)) changes.removed.add(item);
+      });
+      changes.added.clear();
+      changes.updated.clear();
+      byKey.clear();
+      byHash.clear();
+      byColumn.clear();
+      byParent.clear();
+      workshareCounts.clear();
+    },
+
+    // Hand over everything that changed since the last call
+    takeChanges() {
+      const taken = changes;
+      changes = { added: new Set(), removed: new Set(), updated: new Set() };
+      return taken;
+    }
+  };
+};
@@ -0,0 +1,313 @@
+// Incremental layout for the block graph
+//
+// Positions are kept between updates. Each update consumes the item store's change
+// set and only repositions what those changes can move: the zone heights whose block
+// sizes changed and the stacks that gained or lost members. Lane geometry (lane order
+// and stack depth) is tracked separately and triggers a full pass only when it changes.
+//
+// Every zone keeps its own height axis anchored at the first height seen from it, so
+// zones connected at the same time line up and backfilled history extends to the left
+// without moving anything that is already placed.
+//
+// Chain blocks are sized by the workshares pointing at them or, with sizeBy 'weight',
+// by their difficulty relative to the lowest difficulty loaded in their lane. That
+// reference only depends on which blocks are present, so sizes don't depend on the
+// order blocks arrived in; when it moves, the next update is a full pass.
+
+import { SharedTypes, ChainTypes, columnKey } from './itemStore';
+
+// Lane of an item: prime and region lanes are shared, everything else is per zone
+export const laneKey = (type, zone) => (SharedTypes.includes(type) ? type : `${type}:${zone}`);
+
+const sameGeometry = (a, b) => Boolean(a && b) && a.spacing === b.spacing && a.sizeBy === b.sizeBy &&
+  a.sizes.zone === b.sizes.zone && a.sizes.region === b.sizes.region && a.sizes.prime === b.sizes.prime &&
+  Boolean(a.compactLanes) === Boolean(b.compactLanes);
+
+// Difficulty moves a few percent between neighbouring blocks, so weight sizing
+// exaggerates the ratio and clamps it to keep blocks readable
+const WeightExponent = 4;
+const MinWeightFactor = 0.5;
+const MaxWeightFactor = 2;
+
+export const createLayout = () => {
+  const positions = new Map();      // item id -> positioned item
+  const slots = new Map();          // `${lane}@${column}` -> items in stacking order
+  const slotOf = new Map();         // item id -> slot key
+  const anchors = new Map();        // zone -> first height seen from it
+  const zoneCounts = new Map();     // zone -> number of items from it
+  const laneDepth = new Map();      // lane -> deepest stack in it
+  const columnMaxSize = new Map();  // zone height -> largest block size at it
+  const weightRefs = new Map();     // lane -> lowest difficulty among its chain blocks, with sizeBy 'weight'
+  let laneBaseY = new Map();
+  let zoneOrder = [];
+  let config = null;
+
+  const maxBlockSize = () => Math.max(...Object.values(config.sizes));
+  const columnWidth = () => maxBlockSize() + config.spacing;
+
+  const baseSize = (type) => {
+    if (type === 'primeBlock') return config.sizes.prime;
+    if (type === 'regionBlock') return config.sizes.region;
+    return config.sizes.zone;
+  };
+
+  const weightFactor = (item) => {
+    if (!item.difficulty) return 1;
+    const reference = weightRefs.get(laneKey(item.type, item.zone)) || item.difficulty;
+    const factor = Math.pow(item.difficulty / reference, WeightExponent);
+    return Math.min(MaxWeightFactor, Math.max(MinWeightFactor, factor));
+  };
+
+  // Blocks grow by 10% for every workshare that points at them, or scale with their weight
+  const sizeOf = (store, item) => {
+    if (!ChainTypes.includes(item.type)) return baseSize(item.type);
+    if (config.sizeBy === 'weight') return baseSize(item.type) * weightFactor(item);
+    return baseSize(item.type) * (1 + 0.1 * store.workshareCount(item.fullHash));
+  };
+
+  const weighted = (item) => ChainTypes.includes(item.type) && item.difficulty > 0;
+  const lowerThanRef = (lane, difficulty) => !weightRefs.has(lane) || difficulty < weightRefs.get(lane);
+
+  const recomputeWeightRefs = (store) => {
+    weightRefs.clear();
+    store.items().forEach(item => {
+      if (!weighted(item)) return;
+      const lane = laneKey(item.type, item.zone);
+      if (lowerThanRef(lane, item.difficulty)) weightRefs.set(lane, item.difficulty);
+    });
+  };
+
+  // Follow the references through a change set; returns whether any of them moved
+  const updateWeightRefs = (store, added, removed) => {
+    let moved = false;
+    added.forEach(item => {
+      if (!weighted(item)) return;
+      const lane = laneKey(item.type, item.zone);
+      if (lowerThanRef(lane, item.difficulty)) {
+        weightRefs.set(lane, item.difficulty);
+        moved = true;
+      }
+    });
+    // Losing the lowest block of a lane means rescanning for the next lowest
+    if (Array.from(removed).some(item => weighted(item) && weightRefs.get(laneKey(item.type, item.zone)) === item.difficulty)) {
+      const previous = new Map(weightRefs);
+      recomputeWeightRefs(store);
+      moved = moved || weightRefs.size !== previous.size ||
+        Array.from(weightRefs).some(([lane, reference]) => previous.get(lane) !== reference);
+    }
+    return moved;
+  };
+
+  const columnOf = (item) => item.number - anchors.get(item.zone);
+  const slotKeyOf = (item) => `${laneKey(item.type, item.zone)}@${columnOf(item)}`;
+  const laneOfSlot = (key) => key.slice(0, key.lastIndexOf('@'));
+
+  const recomputeLaneDepth = (lane) => {
+    let depth = 0;
+    for (const [key, members] of slots) {
+      if (laneOfSlot(key) === lane) depth = Math.max(depth, members.length);
+    }
+    if (depth > 0) laneDepth.set(lane, depth);
+    else laneDepth.delete(lane);
+  };
+
+  // Lanes from top to bottom: shared prime and region lanes, then block, uncle and
+  // workshare lanes for every zone. With compactLanes, lanes without items take no
+  // room. Returns whether any lane moved.
+  const computeLanes = () => {
+    zoneOrder = Array.from(zoneCounts.keys()).sort((a, b) => Number(a) - Number(b));
+    let lanes = ['primeBlock', 'regionBlock'];
+    zoneOrder.forEach(zone => {
+      lanes.push(laneKey('block', zone), laneKey('uncle', zone), laneKey('workshare', zone));
+    });
+    if (config.compactLanes) lanes = lanes.filter(lane => laneDepth.has(lane));
+
+    const next = new Map();
+    let y = 100;
+    lanes.forEach(lane => {
+      next.set(lane, y);
+      y += (maxBlockSize() + 50) + ((laneDepth.get(lane) || 1) - 1) * (maxBlockSize() + 20);
+    });
+
+    const moved = next.size !== laneBaseY.size || lanes.some(lane => laneBaseY.get(lane) !== next.get(lane));
+    laneBaseY = next;
+    return moved;
+  };
+
+  const computeColumnSize = (store, zone, number) => {
+    let maxSize = 0;
+    store.column(zone, number).forEach(item => {
+      if (ChainTypes.includes(item.type)) maxSize = Math.max(maxSize, sizeOf(store, item));
+    });
+    const key = columnKey(zone, number);
+    if (maxSize > 0) columnMaxSize.set(key, maxSize);
+    else columnMaxSize.delete(key);
+  };
+
+  const positionItem = (store, item) => {
+    const size = sizeOf(store, item);
+
+    if (item.number === null) {
+      const previous = positions.get(item.id);
+      positions.set(item.id, {
+        ...item,
+        displayX: -size,
+        displayY: previous ? previous.displayY : Math.random() * 400 + 100,
+        size
+      });
+      return;
+    }
+
+    const baseX = columnOf(item) * columnWidth() + 100;
+    const members = slots.get(slotOf.get(item.id)) || [];
+    const index = Math.max(0, members.indexOf(item));
+    const baseY = laneBaseY.get(laneKey(item.type, item.zone)) || 200;
+    const displayY = baseY + index * (maxBlockSize() + 20) - size / 2;
+
+    let displayX = baseX;
+    if (ChainTypes.includes(item.type)) {
+      const heightMax = columnMaxSize.get(columnKey(item.zone, item.number)) || maxBlockSize();
+      displayX = baseX + (heightMax - size) / 2;
+    } else {
+      // Center uncles and workshares under their zone block
+      let zoneBlock = null;
+      store.column(item.zone, item.number).forEach(p => {
+        if (p.type === 'block') zoneBlock = positions.get(p.id);
+      });
+      if (zoneBlock) displayX = zoneBlock.displayX + (zoneBlock.size - size) / 2;
+    }
+
+    positions.set(item.id, { ...item, displayX, displayY, size });
+  };
+
+  const update = (store, nextConfig) => {
+    const { added, removed, updated } = store.takeChanges();
+    const relayoutAll = !sameGeometry(config, nextConfig);
+    config = nextConfig;
+
+    const dirtyColumns = new Map(); // column key -> [zone, number]
+    const dirtySlots = new Set();
+    const dirtyItems = new Set();
+    const lanesToRecompute = new Set();
+    let lanesChanged = relayoutAll;
+
+    const touchColumn = (zone, number) => {
+      if (number !== null && number !== undefined) dirtyColumns.set(columnKey(zone, number), [zone, number]);
+    };
+
+    // A workshare resizes its parent block, which may sit at another height
+    const touch = (item) => {
+      touchColumn(item.zone, item.number);
+      if (item.type === 'workshare' && item.fullParentHash) {
+        store.representations(item.fullParentHash).forEach(parent => touchColumn(parent.zone, parent.number));
+      }
+    };
+
+    removed.forEach(item => {
+      positions.delete(item.id);
+      const key = slotOf.get(item.id);
+      if (key) {
+        const members = slots.get(key) || [];
+        if (members.length === laneDepth.get(laneOfSlot(key))) lanesToRecompute.add(laneOfSlot(key));
+        const remaining = members.filter(member => member !== item);
+        if (remaining.length > 0) slots.set(key, remaining);
+        else slots.delete(key);
+        slotOf.delete(item.id);
+        dirtySlots.add(key);
+      }
+      const count = (zoneCounts.get(item.zone) || 1) - 1;
+      if (count > 0) {
+        zoneCounts.set(item.zone, count);
+      } else {
+        zoneCounts.delete(item.zone);
+        lanesChanged = true;
+      }
+      touch(item);
+    });
+
+    added.forEach(item => {
+      if (!zoneCounts.has(item.zone)) lanesChanged = true;
+      zoneCounts.set(item.zone, (zoneCounts.get(item.zone) || 0) + 1);
+
+      if (item.number !== null) {
+        if (!anchors.has(item.zone)) anchors.set(item.zone, item.number);
+        const key = slotKeyOf(item);
+        const members = [...(slots.get(key) || []), item];
+        slots.set(key, members);
+        slotOf.set(item.id, key);
+        dirtySlots.add(key);
+        const lane = laneOfSlot(key);
+        if (members.length > (laneDepth.get(lane) || 0)) {
+          laneDepth.set(lane, members.length);
+          lanesChanged = true;
+        }
+      } else {
+        dirtyItems.add(item);
+      }
+      touch(item);
+    });
+
+    updated.forEach(item => {
+      touch(item);
+      if (slotOf.has(item.id)) dirtySlots.add(slotOf.get(item.id));
+      else dirtyItems.add(item);
+    });
+
+    lanesToRecompute.forEach(lane => {
+      recomputeLaneDepth(lane);
+      lanesChanged = true;
+    });
+
+    const weightsMoved = config.sizeBy === 'weight' && !relayoutAll && updateWeightRefs(store, added, removed);
+    const fullPass = (lanesChanged && computeLanes()) || relayoutAll || weightsMoved;
+
+    // Work out which items need a new position, chain blocks before the uncles and
+    // workshares that are centered under them
+    let toPosition;
+    if (fullPass) {
+      if (config.sizeBy === 'weight') recomputeWeightRefs(store);
+      columnMaxSize.clear();
+      const columns = new Map();
+      store.items().forEach(item => {
+        if (item.number !== null) columns.set(columnKey(item.zone, item.number), [item.zone, item.number]);
+      });
+      columns.forEach(([zone, number]) => computeColumnSize(store, zone, number));
+      toPosition = store.items();
+    } else {
+      dirtyColumns.forEach(([zone, number]) => computeColumnSize(store, zone, number));
+      const pending = new Set(dirtyItems);
+      dirtyColumns.forEach(([zone, number]) => store.column(zone, number).forEach(item => pending.add(item)));
+      dirtySlots.forEach(key => (slots.get(key) || []).forEach(item => pending.add(item)));
+      toPosition = Array.from(pending);
+    }
+
+    toPosition
+      .filter(item => ChainTypes.includes(item.type))
+      .forEach(item => positionItem(store, item));
+    toPosition
+      .filter(item => !ChainTypes.includes(item.type))
+      .forEach(item => positionItem(store, item));
+  };
+
+  const reset = () => {
+    positions.clear();
+    slots.clear();
+    slotOf.clear();
+    anchors.clear();
+    zoneCounts.clear();
+    laneDepth.clear();
+    columnMaxSize.clear();
+    weightRefs.clear();
+    laneBaseY = new Map();
+    zoneOrder = [];
+  };
+
+  return {
+    update,
+    reset,
+    get: (id) => positions.get(id),
+    positioned: () => Array.from(positions.values()),
+    lanes: () => ({ zoneOrder, laneBaseY }),
+    size: () => positions.size
+  };
+};
@@ -0,0 +1,143 @@
+// Minimap: an overview strip of the whole loaded range with the current viewport
+//
+// Items are squeezed into the strip with separate x and y scales so a long, flat graph
+// still fills it. Dragging the viewport rectangle (or pressing anywhere on the strip)
+// reports the layout point that should become the center of the main view.
+
+const Padding = 4;
+
+export const createMinimap = (canvas, { onNavigate }) => {
+  const ctx = canvas.getContext('2d');
+  let items = [];
+  let colors = {};
+  let bounds = null;
+  let view = { transform: { x: 0, y: 0, k: 1 }, width: 0, height: 0 };
+  let drag = null; // offset from the viewport center to the pointer, in layout units
+  let frame = null;
+
+  // Layout <-> strip coordinates
+  const scales = () => {
+    const width = canvas.clientWidth - 2 * Padding;
+    const height = canvas.clientHeight - 2 * Padding;
+    return {
+      sx: width / Math.max(1, bounds.maxX - bounds.minX),
+      sy: height / Math.max(1, bounds.maxY - bounds.minY)
+    };
+  };
+  const toStrip = (x, y) => {
+    const { sx, sy } = scales();
+    return [Padding + (x - bounds.minX) * sx, Padding + (y - bounds.minY) * sy];
+  };
+  const toLayout = (px, py) => {
+    const { sx, sy } = scales();
+    return [bounds.minX + (px - Padding) / sx, bounds.minY + (py - Padding) / sy];
+  };
+
+  // Visible part of the layout, in layout coordinates
+  const viewport = () => {
+    const { transform, width, height } = view;
+    const x = -transform.x / transform.k;
+    const y = -transform.y / transform.k;
+    return { x, y, width: width / transform.k, height: height / transform.k };
+  };
+
+  const draw = () => {
+    frame = null;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+    if (!bounds) return;
+
+    const { sx, sy } = scales();
+    items.forEach(item => {
+      const [x, y] = toStrip(item.displayX, item.displayY);
+      ctx.globalAlpha = item.orphaned ? 0.35 : 1;
+      ctx.fillStyle = item.fill || colors[item.type];
+      ctx.fillRect(x, y, Math.max(1, item.size * sx), Math.max(1, item.size * sy));
+    });
+    ctx.globalAlpha = 1;
+
+    const visible = viewport();
+    const [vx, vy] = toStrip(visible.x, visible.y);
+    ctx.strokeStyle = colors.accent;
+    ctx.lineWidth = 1.5;
+    ctx.fillStyle = colors.accent;
+    ctx.globalAlpha = 0.12;
+    ctx.fillRect(vx, vy, visible.width * sx, visible.height * sy);
+    ctx.globalAlpha = 1;
+    ctx.strokeRect(vx, vy, visible.width * sx, visible.height * sy);
+  };
+
+  const scheduleDraw = () => {
+    if (frame === null) frame = window.requestAnimationFrame(draw);
+  };
+
+  const pointerPosition = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return toLayout(event.clientX - rect.left, event.clientY - rect.top);
+  };
+
+  const handlePointerDown = (event) => {
+    if (!bounds) return;
+    const [x, y] = pointerPosition(event);
+    const visible = viewport();
+    const inside = x >= visible.x && x <= visible.x + visible.width && y >= visible.y && y <= visible.y + visible.height;
+    const centerX = visible.x + visible.width / 2;
+    const centerY = visible.y + visible.height / 2;
+    // Grabbing the rectangle keeps it under the pointer; pressing elsewhere jumps there first
+    drag = inside ? { dx: centerX - x, dy: centerY - y } : { dx: 0, dy: 0 };
+    canvas.setPointerCapture(event.pointerId);
+    onNavigate(x + drag.dx, y + drag.dy);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    const [x, y] = pointerPosition(event);
+    onNavigate(x + drag.dx, y + drag.dy);
+  };
+
+  const handlePointerUp = (event) => {
+    if (!drag) return;
+    drag = null;
+    canvas.releasePointerCapture(event.pointerId);
+  };
+
+  canvas.addEventListener('pointerdown', handlePointerDown);
+  canvas.addEventListener('pointermove', handlePointerMove);
+  canvas.addEventListener('pointerup', handlePointerUp);
+  canvas.addEventListener('pointercancel', handlePointerUp);
+
+  return {
+    setItems(nextItems, nextColors) {
+      items = nextItems;
+      colors = nextColors;
+      bounds = items.length === 0 ? null : items.reduce((b, item) => ({
+        minX: Math.min(b.minX, item.displayX),
+        minY: Math.min(b.minY, item.displayY),
+        maxX: Math.max(b.maxX, item.displayX + item.size),
+        maxY: Math.max(b.maxY, item.displayY + item.size)
+      }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+      scheduleDraw();
+    },
+
+    setView(transform, width, height) {
+      view = { transform, width, height };
+      scheduleDraw();
+    },
+
+    destroy() {
+      if (frame !== null) window.cancelAnimationFrame(frame);
+      frame = null;
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointermove', handlePointerMove);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+      canvas.removeEventListener('pointercancel', handlePointerUp);
+    }
+  };
+};
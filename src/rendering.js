@@ -0,0 +1,33 @@
+// Rendering settings and helpers shared by the SVG and Canvas renderers
+//
+// 'svg' and 'canvas' force a renderer, 'auto' draws with SVG until the number of
+// items passes canvasThreshold and switches back once it drops well below it.
+
+import { loadSetting, saveSetting } from './settings';
+
+const STORAGE_KEY = 'chainVisualizer.rendering';
+
+export const RenderModes = ['auto', 'svg', 'canvas'];
+
+export const DefaultRendering = { mode: 'auto', canvasThreshold: 2000 };
+
+// Fraction of the threshold the item count must fall under before auto mode goes back to SVG
+const SwitchBackRatio = 0.8;
+
+export const loadRendering = () => loadSetting(STORAGE_KEY, DefaultRendering);
+
+export const saveRendering = (rendering) => saveSetting(STORAGE_KEY, rendering);
+
+// Whether to draw with Canvas, given the item count and the renderer currently in use
+export const shouldUseCanvas = (rendering, itemCount, usingCanvas) => {
+  if (rendering.mode !== 'auto') return rendering.mode === 'canvas';
+  if (usingCanvas) return itemCount >= rendering.canvasThreshold * SwitchBackRatio;
+  return itemCount > rendering.canvasThreshold;
+};
+
+export const typeLabel = (type) => {
+  if (type === 'primeBlock') return 'PRIME BLOCK';
+  if (type === 'regionBlock') return 'REGION BLOCK';
+  if (type === 'block') return 'ZONE BLOCK';
+  return type.toUpperCase();
+};
@@ -0,0 +1,50 @@
+// Canonical chain tracking and reorg detection
+//
+// Each chain level (prime, every region and every zone) is identified by a chain
+// key and tracked separately. A chain's canonical branch is whatever can be
+// reached from its current head through loaded parents. Chain items are looked
+// up through any object with get(hash) and has(hash).
+
+const MaxReorgDepth = 100;
+
+// Hashes reachable from the head through loaded parents
+export const canonicalHashes = (chainItems, headHash) => {
+  const hashes = new Set();
+  let cursor = chainItems ? chainItems.get(headHash) : null;
+  while (cursor && !hashes.has(cursor.fullHash)) {
+    hashes.add(cursor.fullHash);
+    cursor = chainItems.get(cursor.fullParentHash);
+  }
+  return hashes;
+};
+
+// Compare a previous head with a new one on the same chain.
+// Returns null while undecidable (the new head's ancestry isn't loaded yet),
+// { reorg: false } for a plain extension, or
+// { reorg: true, depth, commonAncestor } when the old tip left the canonical chain.
+// depth is null when no common ancestor was found within MaxReorgDepth blocks.
+export const compareHeads = (chainItems, oldHash, newHash) => {
+  if (!chainItems || !chainItems.has(oldHash)) return { reorg: false };
+  if (!chainItems.has(newHash)) return null;
+
+  // Depth of every loaded ancestor of the old head, counted from the old tip
+  const oldAncestors = new Map();
+  let cursor = chainItems.get(oldHash);
+  for (let depth = 0; cursor && depth <= MaxReorgDepth; depth++) {
+    oldAncestors.set(cursor.fullHash, depth);
+    cursor = chainItems.get(cursor.fullParentHash);
+  }
+
+  cursor = chainItems.get(newHash);
+  for (let steps = 0; steps <= MaxReorgDepth; steps++) {
+    if (oldAncestors.has(cursor.fullHash)) {
+      const depth = oldAncestors.get(cursor.fullHash);
+      return depth === 0 ? { reorg: false } : { reorg: true, depth, commonAncestor: cursor.fullHash };
+    }
+    const parent = chainItems.get(cursor.fullParentHash);
+    if (!parent) return null;
+    cursor = parent;
+  }
+
+  return { reorg: true, depth: null, commonAncestor: null };
+};
@@ -0,0 +1,36 @@
+// Retention policy for loaded items
+//
+// 'count' keeps the last maxBlocks heights of every zone, 'age' keeps items received
+// within the last maxAgeMinutes. Pinned blocks, and the uncles and workshares they
+// include, are never pruned. Heights a backfill asked for stay loaded under 'count'
+// even past maxBlocks, until the retention settings change.
+
+import { loadSetting, saveSetting } from './settings';
+
+const STORAGE_KEY = 'chainVisualizer.retention';
+
+export const DefaultRetention = { mode: 'count', maxBlocks: 500, maxAgeMinutes: 60 };
+
+// Items without a height (e.g. workshares with no number) only live this long
+const UnnumberedItemTtl = 5 * 60 * 1000;
+
+export const loadRetention = () => loadSetting(STORAGE_KEY, DefaultRetention);
+
+export const saveRetention = (retention) => saveSetting(STORAGE_KEY, retention);
+
+// Items that the policy keeps, given each zone's tip height, the pinned hashes and the
+// lowest backfilled height of each zone
+export const pruneItems = (items, retention, { tipHeights, pinned, now, backfilledFrom = {} }) => items.filter(item => {
+  if (pinned.has(item.fullHash) || (item.includedIn && pinned.has(item.includedIn))) return true;
+
+  if (retention.mode === 'age') {
+    return now - item.timestamp <= retention.maxAgeMinutes * 60 * 1000;
+  }
+
+  if (item.number === null) {
+    return now - item.timestamp <= UnnumberedItemTtl;
+  }
+  const tip = tipHeights[item.zone];
+  const keepFrom = backfilledFrom[item.zone];
+  return tip === undefined || item.number > tip - retention.maxBlocks || (keepFrom !== undefined && item.number >= keepFrom);
+});
@@ -0,0 +1,82 @@
+import { pruneItems, DefaultRetention } from './retention';
+import { backfillRange } from './backfill';
+import { createChainEngine, ZeroHash } from './chainEngine';
+
+const toHex = (n) => '0x' + n.toString(16);
+const hashAt = (number, zone = '0') => '0x' + `${zone}${number}`.padStart(64, 'a');
+
+const blockAt = (number, zone = '0') => ({
+  hash: hashAt(number, zone),
+  order: '0x2',
+  woHeader: { number: toHex(number), parentHash: number > 0 ? hashAt(number - 1, zone) : ZeroHash, location: '0x0000' },
+  header: { parentHash: [ZeroHash, ZeroHash] }
+});
+
+// Node stand-in that serves any height below its tip
+const fakeClient = (zone) => ({
+  request: async (method, [height]) => blockAt(parseInt(height, 16), zone)
+});
+
+const loadRange = (engine, from, to, zone = '0') => backfillRange({
+  client: fakeClient(zone),
+  from,
+  to,
+  onBlock: (block) => engine.ingestBlock(block, zone),
+  onProgress: () => {}
+});
+
+const heights = (items) => items.map(item => item.number).sort((a, b) => a - b);
+
+describe('pruneItems', () => {
+  it('keeps the last maxBlocks heights of each zone', async () => {
+    const engine = createChainEngine();
+    await loadRange(engine, 1, 20);
+
+    const kept = pruneItems(engine.items(), { ...DefaultRetention, maxBlocks: 5 }, { tipHeights: { 0: 20 }, pinned: new Set(), now: Date.now() });
+    expect(heights(kept)).toEqual([16, 17, 18, 19, 20]);
+  });
+
+  it('keeps a backfilled range that reaches past the window', async () => {
+    const engine = createChainEngine();
+    await loadRange(engine, 1, 2000);
+    const options = { tipHeights: { 0: 2000 }, pinned: new Set(), now: Date.now() };
+
+    expect(pruneItems(engine.items(), DefaultRetention, options)).toHaveLength(DefaultRetention.maxBlocks);
+    const kept = pruneItems(engine.items(), DefaultRetention, { ...options, backfilledFrom: { 0: 1 } });
+    expect(kept).toHaveLength(2000);
+  });
+
+  it('limits the backfill extension to the zone that was backfilled', async () => {
+    const engine = createChainEngine();
+    await loadRange(engine, 1, 10, '0');
+    await loadRange(engine, 1, 10, '1');
+
+    const kept = pruneItems(engine.items(), { ...DefaultRetention, maxBlocks: 3 }, {
+      tipHeights: { 0: 10, 1: 10 },
+      pinned: new Set(),
+      now: Date.now(),
+      backfilledFrom: { 0: 1 }
+    });
+    expect(kept.filter(item => item.zone === '0')).toHaveLength(10);
+    expect(heights(kept.filter(item => item.zone === '1'))).toEqual([8, 9, 10]);
+  });
+
+  it('never prunes pinned blocks', async () => {
+    const engine = createChainEngine();
+    await loadRange(engine, 1, 10);
+
+    const kept = pruneItems(engine.items(), { ...DefaultRetention, maxBlocks: 2 }, {
+      tipHeights: { 0: 10 },
+      pinned: new Set([hashAt(3)]),
+      now: Date.now()
+    });
+    expect(heights(kept)).toEqual([3, 9, 10]);
+  });
+
+  it('drops items older than the age limit in age mode', () => {
+    const now = Date.now();
+    const item = (id, minutesAgo) => ({ id, fullHash: id, number: 1, zone: '0', timestamp: now - minutesAgo * 60000 });
+    const kept = pruneItems([item('a', 10), item('b', 90)], { ...DefaultRetention, mode: 'age' }, { tipHeights: {}, pinned: new Set(), now });
+    expect(kept.map(i => i.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,326 @@
+// Shared JSON-RPC client for Quai nodes
+//
+// One client owns one WebSocket (plus an optional HTTP endpoint) and multiplexes
+// every request over it through a single pending-request map keyed by integer id.
+// Requests support timeouts, retries and cancellation through an AbortSignal.
+// `quai_subscription` notifications are dispatched to the handler registered for
+// their subscription. Subscriptions are re-established after a reconnect and
+// retried with backoff when the node rejects them.
+//
+// Views share a connection by acquiring clients through acquireRpcClient and
+// handing them back with releaseRpcClient.
+
+const DefaultTimeout = 10000;
+const ReconnectDelay = 5000;
+const RetryDelay = 500;
+const SubscribeRetryDelay = 1000;
+const MaxSubscribeRetryDelay = 30000;
+
+// Errors carry extra flags: `retryable` for transport failures, `aborted` for
+// cancellations and `code` for JSON-RPC errors returned by the node
+const rpcError = (message, props = {}) => Object.assign(new Error(message), props);
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(rpcError('Request cancelled', { aborted: true }));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+export const createRpcClient = ({ wsUrl, httpUrl, timeout = DefaultTimeout, reconnectDelay = ReconnectDelay }) => {
+  let ws = null;
+  let status = 'Disconnected';
+  let closed = false;
+  let reconnectTimer = null;
+  let nextId = 1;
+  let nextSubscriptionKey = 1;
+
+  const pending = new Map();          // request id -> { transport, resolve, reject, timer, controller, cleanup }
+  const subscriptions = new Map();    // local key -> { params, handler, subscriptionId, retryTimer }
+  const subscriptionKeys = new Map(); // node subscription id -> local key
+  const statusListeners = new Set();
+
+  const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    statusListeners.forEach(listener => listener(next));
+  };
+
+  // Settle a pending request exactly once and release everything it holds
+  const finish = (id, error, result) => {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    clearTimeout(entry.timer);
+    entry.cleanup();
+    if (error) {
+      if (entry.controller) entry.controller.abort();
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  };
+
+  const handleResponse = (message) => {
+    if (message.error) {
+      finish(message.id, rpcError(message.error.message || 'RPC error', { code: message.error.code }));
+    } else {
+      finish(message.id, null, message.result);
+    }
+  };
+
+  const handleMessage = (event) => {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      console.error('Error parsing WebSocket message:', error);
+      return;
+    }
+
+    const messages = Array.isArray(data) ? data : [data];
+    messages.forEach(message => {
+      if (message.method === 'quai_subscription' && message.params) {
+        const key = subscriptionKeys.get(message.params.subscription);
+        const subscription = subscriptions.get(key);
+        if (subscription) {
+          try {
+            subscription.handler(message.params.result);
+          } catch (error) {
+            console.error('Error in subscription handler:', error);
+          }
+        }
+      } else if (message.id !== undefined && pending.has(message.id)) {
+        handleResponse(message);
+      }
+    });
+  };
+
+  const failPending = (transport, error) => {
+    Array.from(pending.entries())
+      .filter(([, entry]) => entry.transport === transport)
+      .forEach(([id]) => finish(id, error));
+  };
+
+  const sendOnce = (method, params, transport, requestTimeout, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(rpcError('Request cancelled', { aborted: true }));
+      return;
+    }
+
+    const id = nextId++;
+    const payload = { jsonrpc: '2.0', id, method, params };
+    const onAbort = () => finish(id, rpcError('Request cancelled', { aborted: true }));
+
+    pending.set(id, {
+      transport,
+      resolve,
+      reject,
+      controller: transport === 'http' ? new AbortController() : null,
+      timer: setTimeout(() => finish(id, rpcError(`Request timeout: ${method}`, { retryable: true })), requestTimeout),
+      cleanup: () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    });
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    if (transport === 'http') {
+      fetch(httpUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+        signal: pending.get(id).controller.signal
+      })
+        .then(response => response.json())
+        .then(handleResponse)
+        .catch(error => finish(id, rpcError(error.message, { retryable: true })));
+    } else if (!ws || ws.readyState !== WebSocket.OPEN) {
+      finish(id, rpcError('WebSocket not connected', { retryable: true }));
+    } else {
+      ws.send(JSON.stringify(payload));
+    }
+  });
+
+  // Send a request, retrying transport failures up to `retries` times
+  const request = async (method, params = [], options = {}) => {
+    const { retries = 0, signal, timeout: requestTimeout = timeout } = options;
+    const transport = options.transport === 'http' && httpUrl ? 'http' : 'ws';
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await sendOnce(method, params, transport, requestTimeout, signal);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries || closed) throw error;
+        await delay(RetryDelay * (attempt + 1), signal);
+      }
+    }
+  };
+
+  // Subscribe on the open socket. A failure while the socket stays open is retried
+  // with backoff; a closed socket subscribes again once it reconnects.
+  const sendSubscribe = (key, attempt = 0) => {
+    const subscription = subscriptions.get(key);
+    clearTimeout(subscription.retryTimer);
+    subscription.retryTimer = null;
+    request('quai_subscribe', subscription.params)
+      .then(subscriptionId => {
+        if (!subscriptions.has(key)) {
+          // Unsubscribed while the request was in flight
+          request('quai_unsubscribe', [subscriptionId]).catch(() => {});
+          return;
+        }
+        subscription.subscriptionId = subscriptionId;
+        subscriptionKeys.set(subscriptionId, key);
+      })
+      .catch(error => {
+        console.error(`Failed to subscribe to ${subscription.params[0]}:`, error);
+        if (closed || status !== 'Connected' || subscriptions.get(key) !== subscription) return;
+        subscription.retryTimer = setTimeout(() => {
+          if (subscriptions.get(key) === subscription && status === 'Connected') sendSubscribe(key, attempt + 1);
+        }, Math.min(SubscribeRetryDelay * 2 ** attempt, MaxSubscribeRetryDelay));
+      });
+  };
+
+  // Register a handler for a `quai_subscribe` stream; returns an unsubscribe function
+  const subscribe = (params, handler) => {
+    const key = nextSubscriptionKey++;
+    subscriptions.set(key, { params, handler, subscriptionId: null, retryTimer: null });
+    if (status === 'Connected') sendSubscribe(key);
+
+    return () => {
+      const subscription = subscriptions.get(key);
+      if (!subscription) return;
+      subscriptions.delete(key);
+      clearTimeout(subscription.retryTimer);
+      if (subscription.subscriptionId !== null) {
+        subscriptionKeys.delete(subscription.subscriptionId);
+        if (status === 'Connected') {
+          request('quai_unsubscribe', [subscription.subscriptionId]).catch(() => {});
+        }
+      }
+    };
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, reconnectDelay);
+  };
+
+  const connect = () => {
+    if (closed || !wsUrl) return;
+
+    let socket;
+    try {
+      socket = new WebSocket(wsUrl);
+    } catch (error) {
+      console.error('Failed to connect to WebSocket:', error);
+      setStatus('Error');
+      scheduleReconnect();
+      return;
+    }
+
+    ws = socket;
+    setStatus('Connecting');
+
+    socket.onopen = () => {
+      if (socket !== ws) return;
+      console.log('WebSocket connected to', wsUrl);
+      setStatus('Connected');
+      subscriptions.forEach((_, key) => sendSubscribe(key));
+    };
+
+    socket.onmessage = handleMessage;
+
+    socket.onclose = () => {
+      if (socket !== ws) return;
+      console.log('WebSocket disconnected from', wsUrl);
+      ws = null;
+      subscriptionKeys.clear();
+      subscriptions.forEach(subscription => {
+        subscription.subscriptionId = null;
+        clearTimeout(subscription.retryTimer);
+        subscription.retryTimer = null;
+      });
+      failPending('ws', rpcError('WebSocket closed', { retryable: true }));
+      if (!closed) {
+        setStatus('Disconnected');
+        scheduleReconnect();
+      }
+    };
+
+    socket.onerror = (error) => {
+      if (socket !== ws) return;
+      console.error('WebSocket error:', error);
+      setStatus('Error');
+    };
+  };
+
+  const onStatusChange = (listener) => {
+    statusListeners.add(listener);
+    return () => statusListeners.delete(listener);
+  };
+
+  const close = () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    failPending('ws', rpcError('Client closed', { aborted: true }));
+    failPending('http', rpcError('Client closed', { aborted: true }));
+    subscriptions.forEach(subscription => clearTimeout(subscription.retryTimer));
+    subscriptions.clear();
+    subscriptionKeys.clear();
+    if (ws) {
+      const socket = ws;
+      ws = null;
+      socket.close();
+    }
+    setStatus('Disconnected');
+    statusListeners.clear();
+  };
+
+  connect();
+
+  return {
+    wsUrl,
+    httpUrl,
+    request,
+    subscribe,
+    onStatusChange,
+    getStatus: () => status,
+    close
+  };
+};
+
+// Reference-counted registry so several views can share one connection per endpoint
+const sharedClients = new Map(); // endpoint key -> { client, refs }
+
+const endpointKey = ({ wsUrl, httpUrl }) => `${wsUrl || ''}|${httpUrl || ''}`;
+
+export const acquireRpcClient = (endpoint) => {
+  const key = endpointKey(endpoint);
+  let shared = sharedClients.get(key);
+  if (!shared) {
+    shared = { client: createRpcClient(endpoint), refs: 0 };
+    sharedClients.set(key, shared);
+  }
+  shared.refs += 1;
+  return shared.client;
+};
+
+export const releaseRpcClient = (client) => {
+  const key = endpointKey(client);
+  const shared = sharedClients.get(key);
+  if (!shared || shared.client !== client) return;
+  shared.refs -= 1;
+  if (shared.refs <= 0) {
+    sharedClients.delete(key);
+    client.close();
+  }
+};
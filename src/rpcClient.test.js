@@ -0,0 +1,226 @@
+import { createRpcClient, acquireRpcClient, releaseRpcClient } from './rpcClient';
+
+// WebSocket stand-in the tests open, answer and drop by hand
+let sockets = [];
+
+class FakeSocket {
+  static OPEN = 1;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.closed = false;
+    sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+    this.readyState = 3;
+    if (this.onclose) this.onclose();
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen();
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  lastRequest() {
+    return this.sent[this.sent.length - 1];
+  }
+
+  respond(result) {
+    this.receive({ jsonrpc: '2.0', id: this.lastRequest().id, result });
+  }
+
+  fail(code, message) {
+    this.receive({ jsonrpc: '2.0', id: this.lastRequest().id, error: { code, message } });
+  }
+}
+
+const realWebSocket = global.WebSocket;
+
+// Let awaited promises inside the client settle
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+const connected = (options = {}) => {
+  const client = createRpcClient({ wsUrl: 'ws://node', ...options });
+  sockets[sockets.length - 1].open();
+  return { client, socket: sockets[sockets.length - 1] };
+};
+
+beforeEach(() => {
+  sockets = [];
+  global.WebSocket = FakeSocket;
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  global.WebSocket = realWebSocket;
+});
+
+describe('request', () => {
+  it('resolves with the result of the matching response', async () => {
+    const { client, socket } = connected();
+    const result = client.request('quai_blockNumber');
+    expect(socket.lastRequest()).toMatchObject({ jsonrpc: '2.0', method: 'quai_blockNumber', params: [] });
+    socket.respond('0x10');
+    await expect(result).resolves.toBe('0x10');
+  });
+
+  it('times out with a retryable error', async () => {
+    const { client } = connected();
+    const result = client.request('quai_blockNumber', [], { timeout: 100 });
+    jest.advanceTimersByTime(100);
+    await expect(result).rejects.toMatchObject({ message: 'Request timeout: quai_blockNumber', retryable: true });
+  });
+
+  it('retries retryable errors until one attempt succeeds', async () => {
+    const { client, socket } = connected();
+    const result = client.request('quai_blockNumber', [], { timeout: 100, retries: 2 });
+    jest.advanceTimersByTime(100);
+    await flush();
+    jest.advanceTimersByTime(500);
+    await flush();
+
+    expect(socket.sent).toHaveLength(2);
+    socket.respond('0x11');
+    await expect(result).resolves.toBe('0x11');
+  });
+
+  it('does not retry errors returned by the node', async () => {
+    const { client, socket } = connected();
+    const result = client.request('quai_getBlockByHash', ['0x1'], { retries: 2 });
+    socket.fail(-32602, 'invalid argument');
+    await expect(result).rejects.toMatchObject({ message: 'invalid argument', code: -32602 });
+    expect(socket.sent).toHaveLength(1);
+  });
+
+  it('rejects right away when cancelled and ignores the late response', async () => {
+    const { client, socket } = connected();
+    const controller = new AbortController();
+    const result = client.request('quai_blockNumber', [], { signal: controller.signal, retries: 2 });
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ aborted: true });
+
+    socket.respond('0x10');
+    jest.advanceTimersByTime(10000);
+    await flush();
+    expect(socket.sent).toHaveLength(1);
+  });
+
+  it('rejects requests made while the socket is closed', async () => {
+    const client = createRpcClient({ wsUrl: 'ws://node' });
+    await expect(client.request('quai_blockNumber')).rejects.toMatchObject({ message: 'WebSocket not connected', retryable: true });
+  });
+});
+
+describe('subscribe', () => {
+  it('dispatches notifications to the handler of their subscription', async () => {
+    const { client, socket } = connected();
+    const handler = jest.fn();
+    client.subscribe(['newHeads'], handler);
+    expect(socket.lastRequest()).toMatchObject({ method: 'quai_subscribe', params: ['newHeads'] });
+    socket.respond('0xsub1');
+    await flush();
+
+    socket.receive({ method: 'quai_subscription', params: { subscription: '0xsub1', result: { number: '0x1' } } });
+    socket.receive({ method: 'quai_subscription', params: { subscription: '0xother', result: { number: '0x2' } } });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ number: '0x1' });
+  });
+
+  it('subscribes again after a reconnect', async () => {
+    const { client, socket } = connected({ reconnectDelay: 1000 });
+    const handler = jest.fn();
+    client.subscribe(['newHeads'], handler);
+    socket.respond('0xsub1');
+    await flush();
+
+    socket.close();
+    expect(client.getStatus()).toBe('Disconnected');
+    jest.advanceTimersByTime(1000);
+    expect(sockets).toHaveLength(2);
+
+    const next = sockets[1];
+    next.open();
+    expect(next.lastRequest()).toMatchObject({ method: 'quai_subscribe', params: ['newHeads'] });
+    next.respond('0xsub2');
+    await flush();
+
+    next.receive({ method: 'quai_subscription', params: { subscription: '0xsub2', result: { number: '0x3' } } });
+    expect(handler).toHaveBeenCalledWith({ number: '0x3' });
+  });
+
+  it('retries a rejected subscription with backoff while the socket stays open', async () => {
+    const { client, socket } = connected();
+    client.subscribe(['newWorkshares'], jest.fn());
+    socket.fail(-32000, 'too many subscriptions');
+    await flush();
+    expect(socket.sent).toHaveLength(1);
+
+    jest.advanceTimersByTime(1000);
+    expect(socket.sent).toHaveLength(2);
+    socket.fail(-32000, 'too many subscriptions');
+    await flush();
+
+    jest.advanceTimersByTime(1000);
+    expect(socket.sent).toHaveLength(2);
+    jest.advanceTimersByTime(1000);
+    expect(socket.sent).toHaveLength(3);
+    expect(socket.lastRequest()).toMatchObject({ method: 'quai_subscribe', params: ['newWorkshares'] });
+  });
+
+  it('stops retrying once unsubscribed', async () => {
+    const { client, socket } = connected();
+    const unsubscribe = client.subscribe(['newHeads'], jest.fn());
+    socket.fail(-32000, 'unavailable');
+    await flush();
+    unsubscribe();
+
+    jest.advanceTimersByTime(60000);
+    expect(socket.sent).toHaveLength(1);
+  });
+});
+
+describe('shared clients', () => {
+  it('shares one client per endpoint until the last reference is released', () => {
+    const endpoint = { wsUrl: 'ws://shared', httpUrl: null };
+    const first = acquireRpcClient(endpoint);
+    const second = acquireRpcClient({ ...endpoint });
+    expect(second).toBe(first);
+    expect(sockets).toHaveLength(1);
+
+    releaseRpcClient(first);
+    expect(sockets[0].closed).toBe(false);
+    releaseRpcClient(second);
+    expect(sockets[0].closed).toBe(true);
+    expect(first.getStatus()).toBe('Disconnected');
+
+    const third = acquireRpcClient(endpoint);
+    expect(third).not.toBe(first);
+    releaseRpcClient(third);
+  });
+
+  it('ignores releasing a client it does not hold', () => {
+    const client = acquireRpcClient({ wsUrl: 'ws://held' });
+    releaseRpcClient(createRpcClient({ wsUrl: 'ws://held' }));
+    expect(sockets[0].closed).toBe(false);
+    releaseRpcClient(client);
+    expect(sockets[0].closed).toBe(true);
+  });
+});
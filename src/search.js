@@ -0,0 +1,40 @@
+// Search queries: a full block hash, a hash prefix (as shown on blocks) or a block height
+
+import { ChainTypes } from './itemStore';
+
+const MinPrefixLength = 6; // hex digits, not counting 0x
+
+// Parse what was typed into { kind: 'hash' | 'prefix' | 'number', ... }, or null
+export const parseSearchQuery = (text) => {
+  const query = text.trim().toLowerCase();
+  if (!query) return null;
+
+  const height = query.replace(/^#/, '');
+  if (/^\d+$/.test(height)) {
+    return { kind: 'number', number: parseInt(height, 10) };
+  }
+
+  const hex = query.replace(/^0x/, '');
+  if (/^[0-9a-f]{64}$/.test(hex)) {
+    return { kind: 'hash', hash: `0x${hex}` };
+  }
+  if (hex.length >= MinPrefixLength && hex.length < 64 && /^[0-9a-f]+$/.test(hex)) {
+    return { kind: 'prefix', prefix: `0x${hex}` };
+  }
+  return null;
+};
+
+// Loaded items matching a query, zone blocks first, then by zone and height
+export const findMatches = (items, query) => {
+  let matches;
+  if (query.kind === 'hash') {
+    matches = items.filter(item => item.fullHash.toLowerCase() === query.hash);
+  } else if (query.kind === 'prefix') {
+    matches = items.filter(item => item.fullHash.toLowerCase().startsWith(query.prefix));
+  } else {
+    matches = items.filter(item => item.number === query.number && ChainTypes.includes(item.type));
+  }
+
+  const rank = (item) => (item.type === 'block' ? 0 : 1);
+  return matches.sort((a, b) => rank(a) - rank(b) || Number(a.zone) - Number(b.zone) || (b.number ?? 0) - (a.number ?? 0));
+};
@@ -0,0 +1,51 @@
+import { parseSearchQuery, findMatches } from './search';
+
+const fullHash = (prefix) => '0x' + prefix.padEnd(64, '0');
+
+describe('parseSearchQuery', () => {
+  it('reads heights with or without a leading #', () => {
+    expect(parseSearchQuery('1234')).toEqual({ kind: 'number', number: 1234 });
+    expect(parseSearchQuery(' #42 ')).toEqual({ kind: 'number', number: 42 });
+  });
+
+  it('reads full hashes with or without 0x, in any case', () => {
+    const hash = fullHash('abcdef');
+    expect(parseSearchQuery(hash.toUpperCase().replace('0X', '0x'))).toEqual({ kind: 'hash', hash });
+    expect(parseSearchQuery(hash.slice(2))).toEqual({ kind: 'hash', hash });
+  });
+
+  it('needs at least 6 hex digits for a prefix', () => {
+    expect(parseSearchQuery('0xabcde')).toBeNull();
+    expect(parseSearchQuery('0xabcdef')).toEqual({ kind: 'prefix', prefix: '0xabcdef' });
+    expect(parseSearchQuery('abcdef1')).toEqual({ kind: 'prefix', prefix: '0xabcdef1' });
+  });
+
+  it('rejects empty input and anything that is not hex', () => {
+    expect(parseSearchQuery('   ')).toBeNull();
+    expect(parseSearchQuery('0xabcdefgh')).toBeNull();
+    expect(parseSearchQuery(fullHash('ab') + '0')).toBeNull();
+  });
+});
+
+describe('findMatches', () => {
+  const items = [
+    { id: 'r', type: 'regionBlock', fullHash: fullHash('abcdef01'), zone: '0', number: 7 },
+    { id: 'b1', type: 'block', fullHash: fullHash('abcdef01'), zone: '1', number: 7 },
+    { id: 'b0', type: 'block', fullHash: fullHash('abcdef01'), zone: '0', number: 7 },
+    { id: 'w', type: 'workshare', fullHash: fullHash('abcdef02'), zone: '0', number: 7 },
+    { id: 'other', type: 'block', fullHash: fullHash('123456'), zone: '0', number: 8 }
+  ];
+  const ids = (query) => findMatches(items, parseSearchQuery(query)).map(item => item.id);
+
+  it('ranks zone blocks first, then by zone', () => {
+    expect(ids(fullHash('abcdef01'))).toEqual(['b0', 'b1', 'r']);
+  });
+
+  it('matches a prefix across item types', () => {
+    expect(ids('0xABCDEF')).toEqual(['b0', 'b1', 'r', 'w']);
+  });
+
+  it('matches heights on chain blocks only', () => {
+    expect(ids('7')).toEqual(['b0', 'b1', 'r']);
+  });
+});
@@ -0,0 +1,195 @@
+// Session recording and replay
+//
+// A session log is NDJSON: a header line followed by one line per incoming payload,
+//   { "kind": "session", "version": 1, "startedAt": "<ISO time>" }
+//   { "t": <ms since epoch>, "zone": "0", "kind": "newHead" | "block" | "workshare", "source": "head", "payload": {...} }
+// where source tells which request a block came from (head, poll, parent, backfill or search).
+// Recording keeps entries as serialized lines and stops itself at MaxRecordingBytes.
+// Replay feeds the entries back through the visualizer's normal ingestion path at
+// their recorded pace, scaled by the playback speed.
+
+export const SessionLogVersion = 1;
+
+export const ReplaySpeeds = [0.5, 1, 2, 5, 10, 50];
+
+// Full blocks run to tens of kilobytes, so this is hours of a busy node
+export const MaxRecordingBytes = 100 * 1024 * 1024;
+
+// How often the replay position advances between entries
+const ProgressInterval = 250;
+
+const EntryKinds = ['newHead', 'block', 'workshare'];
+
+export const createSessionRecorder = ({ maxBytes = MaxRecordingBytes } = {}) => {
+  let lines = [];
+  let bytes = 0;
+  let startedAt = null;
+  let recording = false;
+  let full = false;
+
+  // The recording stays available for download until the next start
+  const stop = () => {
+    if (!recording) return;
+    recording = false;
+    console.log(`Recorded ${lines.length} payloads since ${startedAt}`);
+  };
+
+  return {
+    isRecording: () => recording,
+    // Whether the last recording stopped at the size limit
+    isFull: () => full,
+    size: () => lines.length,
+
+    start() {
+      lines = [];
+      bytes = 0;
+      startedAt = new Date().toISOString();
+      recording = true;
+      full = false;
+    },
+
+    stop,
+
+    // Returns whether the payload was captured; a payload past the size limit stops the recording
+    record(kind, zone, payload, source = null) {
+      if (!recording || !payload) return false;
+      const line = JSON.stringify({ t: Date.now(), zone, kind, source, payload });
+      if (bytes + line.length + 1 > maxBytes) {
+        full = true;
+        stop();
+        return false;
+      }
+      lines.push(line);
+      bytes += line.length + 1;
+      return true;
+    },
+
+    toNdjson() {
+      const header = JSON.stringify({ kind: 'session', version: SessionLogVersion, startedAt });
+      return [header, ...lines].join('\n') + '\n';
+    }
+  };
+};
+
+// Parse a session log, rejecting anything that isn't one
+export const parseSessionLog = (text) => {
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  if (lines.length === 0) throw new Error('Session log is empty');
+
+  const parseLine = (line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON`);
+    }
+  };
+
+  const header = parseLine(lines[0], 0);
+  if (!header || header.kind !== 'session') throw new Error('Missing session header');
+  if (header.version > SessionLogVersion) throw new Error(`Unsupported session log version ${header.version}`);
+
+  const entries = lines.slice(1).map((line, i) => {
+    const entry = parseLine(line, i + 1);
+    if (!entry || typeof entry.t !== 'number' || !EntryKinds.includes(entry.kind) || entry.zone === undefined) {
+      throw new Error(`Line ${i + 2} is not a session entry`);
+    }
+    return { ...entry, zone: String(entry.zone) };
+  });
+  entries.sort((a, b) => a.t - b.t);
+
+  return { header, entries };
+};
+
+// Play entries back in recorded time. onEntry receives each entry as it is due,
+// onReset is called before a backward seek replays from the start, and onState
+// reports { playing, speed, position, duration } in session milliseconds. While
+// playing, position follows the clock rather than jumping from entry to entry.
+export const createReplayer = ({ entries, onEntry, onReset, onState }) => {
+  const origin = entries.length > 0 ? entries[0].t : 0;
+  const duration = entries.length > 0 ? entries[entries.length - 1].t - origin : 0;
+  let index = 0;
+  let position = 0;
+  let playing = false;
+  let speed = 1;
+  let timer = null;
+  let lastTick = 0; // wall time the position was last advanced at while playing
+
+  const emit = () => onState({ playing, speed, position, duration, done: index >= entries.length });
+
+  const applyUntil = (target) => {
+    while (index < entries.length && entries[index].t - origin <= target) {
+      onEntry(entries[index]);
+      index++;
+    }
+    position = target;
+  };
+
+  // Move the position on by the time played since the last tick
+  const advance = () => {
+    const now = Date.now();
+    applyUntil(Math.min(duration, position + (now - lastTick) * speed));
+    lastTick = now;
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!playing) return;
+    if (index >= entries.length) {
+      playing = false;
+      emit();
+      return;
+    }
+    const due = entries[index].t - origin;
+    timer = setTimeout(() => {
+      advance();
+      emit();
+      schedule();
+    }, Math.min(ProgressInterval, Math.max(0, (due - position) / speed)));
+  };
+
+  // Jump to a point in the session; going backwards rebuilds the view from the start
+  const seek = (target) => {
+    const clamped = Math.max(0, Math.min(duration, target));
+    if (clamped < position) {
+      onReset();
+      index = 0;
+    }
+    applyUntil(clamped);
+    lastTick = Date.now();
+    emit();
+    schedule();
+  };
+
+  return {
+    seek,
+
+    play() {
+      if (index >= entries.length) seek(0);
+      playing = true;
+      lastTick = Date.now();
+      emit();
+      schedule();
+    },
+
+    pause() {
+      if (playing) advance();
+      playing = false;
+      schedule();
+      emit();
+    },
+
+    setSpeed(next) {
+      if (playing) advance();
+      speed = next;
+      emit();
+      schedule();
+    },
+
+    destroy() {
+      playing = false;
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+};
@@ -0,0 +1,28 @@
+// Settings kept in localStorage as JSON
+//
+// Reads fall back to the defaults when nothing is stored, storage is unavailable or the
+// stored value doesn't parse. A stored object is merged over an object default so fields
+// added later get their default; callers that need more checking pass null as the
+// default and validate what comes back.
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export const loadSetting = (key, defaults) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key) || 'null');
+    if (stored === null || defaults === null) return stored ?? defaults;
+    if (isPlainObject(defaults)) return isPlainObject(stored) ? { ...defaults, ...stored } : defaults;
+    return typeof stored === typeof defaults ? stored : defaults;
+  } catch (error) {
+    console.error(`Failed to read setting ${key}:`, error);
+    return defaults;
+  }
+};
+
+export const saveSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Failed to save setting ${key}:`, error);
+  }
+};
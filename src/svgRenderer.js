@@ -0,0 +1,428 @@
+// SVG renderer: one group per item and one line per link, with animated transitions
+//
+// Draws a scene built from the layout output into the zoomable main group. Fine for
+// a few thousand items; beyond that the Canvas renderer takes over.
+
+import * as d3 from 'd3';
+import { typeLabel } from './rendering';
+import { etxPath } from './txOverlay';
+import { sparklinePath } from './encoding';
+
+export const clearSvgScene = (mainGroup) => {
+  mainGroup.selectAll('*').remove();
+};
+
+// Gas fill bar along the bottom of a zone block and its tx count in the corner
+const drawTxOverlay = (overlay, colors) => {
+  overlay.select('.gas-track')
+    .attr('x', 3)
+    .attr('y', d => d.size - 7)
+    .attr('width', d => d.size - 6)
+    .attr('height', 4)
+    .attr('fill', 'rgba(0, 0, 0, 0.5)');
+  overlay.select('.gas-fill')
+    .attr('x', 3)
+    .attr('y', d => d.size - 7)
+    .attr('width', d => (d.size - 6) * (d.gasFill ?? 0))
+    .attr('height', 4)
+    .attr('fill', colors.gas);
+  overlay.select('.tx-count')
+    .attr('x', d => d.size - 3)
+    .attr('y', 9)
+    .attr('text-anchor', 'end')
+    .attr('fill', colors.blockText)
+    .attr('font-family', 'monospace')
+    .attr('font-size', '8px')
+    .text(d => `${d.txCount} tx`);
+};
+
+const appendTxOverlay = (enter) => {
+  const overlay = enter.append('g').attr('class', 'tx-overlay').attr('pointer-events', 'none');
+  overlay.append('rect').attr('class', 'gas-track');
+  overlay.append('rect').attr('class', 'gas-fill');
+  overlay.append('text').attr('class', 'tx-count');
+  return overlay;
+};
+
+const txOverlayData = (scene) => (d) => (scene.txOverlay && d.type === 'block' && d.txCount !== undefined ? [d] : []);
+
+export const renderSvgScene = (mainGroup, scene, { onHover, onSelect, describe, elementId }) => {
+  const { items, arrows, inclusions, coincident, etxLinks, sparklines, laneLabels, labelX, colors } = scene;
+
+  // Draw arrows FIRST (so they appear behind blocks)
+  const arrowLines = mainGroup.selectAll('.arrow')
+    .data(arrows, d => d.id);
+
+  arrowLines.exit().remove();
+
+  const arrowsEnter = arrowLines.enter()
+    .append('line')
+    .attr('class', 'arrow')
+    .attr('stroke', colors.arrow)
+    .attr('stroke-width', 2)
+    .attr('marker-end', 'url(#arrowhead)')
+    .attr('x1', d => d.x1)
+    .attr('y1', d => d.y1)
+    .attr('x2', d => d.x2)
+    .attr('y2', d => d.y2)
+    .style('opacity', 0);
+
+  arrowsEnter.merge(arrowLines)
+    .transition('arrow')
+    .duration(300)
+    .attr('x1', d => d.x1)
+    .attr('y1', d => d.y1)
+    .attr('x2', d => d.x2)
+    .attr('y2', d => d.y2)
+    .style('opacity', d => (d.orphaned ? 0.3 : 0.8));
+
+  // Draw inclusion arrows for uncles and workshares
+  const inclusionArrows = mainGroup.selectAll('.inclusion')
+    .data(inclusions, d => d.id);
+
+  inclusionArrows.exit().remove();
+
+  inclusionArrows.enter()
+    .append('line')
+    .attr('class', 'inclusion')
+    .attr('stroke', colors.arrow)
+    .attr('stroke-width', 2)
+    .attr('marker-end', 'url(#arrowhead)')
+    .attr('x1', d => d.x1)
+    .attr('y1', d => d.y1)
+    .attr('x2', d => d.x2)
+    .attr('y2', d => d.y2)
+    .style('opacity', 0)
+    .merge(inclusionArrows)
+    .transition('inclusion')
+    .duration(300)
+    .attr('x1', d => d.x1)
+    .attr('y1', d => d.y1)
+    .attr('x2', d => d.x2)
+    .attr('y2', d => d.y2)
+    .style('opacity', 0.8);
+
+  // Draw coincident lines from dominant blocks down to their coincident blocks
+  const coincidentLines = mainGroup.selectAll('.coincident')
+    .data(coincident, d => d.id);
+
+  coincidentLines.exit().remove();
+
+  coincidentLines.enter()
+    .append('line')
+    .attr('class', 'coincident')
+    .attr('stroke', colors.coincident)
+    .attr('stroke-width', 2)
+    .attr('stroke-dasharray', '5,5')
+    .merge(coincidentLines)
+    .attr('x1', d => d.x1)
+    .attr('x2', d => d.x2)
+    .attr('y1', d => d.y1)
+    .attr('y2', d => d.y2);
+
+  // Curved ETX links between zones, when the transaction overlay is on
+  mainGroup.selectAll('.etx-link')
+    .data(etxLinks, d => d.id)
+    .join('path')
+    .attr('class', 'etx-link')
+    .attr('fill', 'none')
+    .attr('stroke', colors.etx)
+    .attr('stroke-width', 1.5)
+    .attr('marker-end', 'url(#arrowhead)')
+    .attr('d', etxPath)
+    .style('opacity', d => (d.orphaned ? 0.3 : 0.8));
+
+  // Difficulty or entropy sparklines under the chain lanes
+  mainGroup.selectAll('.sparkline')
+    .data(sparklines, d => d.id)
+    .join('path')
+    .attr('class', 'sparkline')
+    .attr('fill', 'none')
+    .attr('stroke', d => d.color)
+    .attr('stroke-width', 1.5)
+    .attr('d', sparklinePath)
+    .style('opacity', 0.8);
+
+  const labels = mainGroup.selectAll('.lane-label')
+    .data(laneLabels, d => d.id);
+
+  labels.exit().remove();
+
+  labels.enter()
+    .append('text')
+    .attr('class', 'lane-label')
+    .attr('fill', colors.text)
+    .attr('font-family', 'sans-serif')
+    .attr('font-size', '12px')
+    .attr('text-anchor', 'end')
+    .merge(labels)
+    .attr('x', labelX)
+    .attr('y', d => d.y + 4)
+    .text(d => d.label);
+
+  // Update blocks AFTER arrows and lines
+  const blocks = mainGroup.selectAll('.block')
+    .data(items, d => d.id);
+
+  // Remove old blocks
+  blocks.exit().remove();
+
+  // Add new blocks
+  const blocksEnter = blocks.enter()
+    .append('g')
+    .attr('class', 'block')
+    .attr('id', elementId)
+    .attr('role', 'button')
+    .attr('transform', d => `translate(${d.displayX}, ${d.displayY})`)
+    .style('cursor', 'pointer');
+
+  // Merge enter and update selections
+  const blocksUpdate = blocksEnter.merge(blocks);
+
+  // Update positions for all blocks
+  blocksUpdate
+    .transition('position')
+    .duration(300)
+    .attr('transform', d => `translate(${d.displayX}, ${d.displayY})`);
+
+  // Add rectangles only to new blocks
+  blocksEnter.append('rect')
+    .attr('width', d => d.size)
+    .attr('height', d => d.size)
+    .attr('fill', d => colors[d.type])
+    .attr('stroke', colors.stroke)
+    .attr('stroke-width', 1)
+    .style('opacity', 0)
+    .transition('enter')
+    .duration(800)
+    .style('opacity', 1);
+
+  // Add hash text only to new blocks
+  blocksEnter.append('text')
+    .attr('class', 'hash-text')
+    .attr('x', d => d.size / 2)
+    .attr('y', d => d.size / 2 - 5)
+    .attr('text-anchor', 'middle')
+    .attr('fill', colors.blockText)
+    .attr('font-family', 'monospace')
+    .attr('font-size', '10px')
+    .text(d => d.hash)
+    .style('opacity', 0)
+    .transition('enter')
+    .delay(400)
+    .duration(400)
+    .style('opacity', 1);
+
+  // Add block number only to new blocks
+  blocksEnter.append('text')
+    .attr('class', 'number-text')
+    .attr('x', d => d.size / 2)
+    .attr('y', d => d.size / 2 + 8)
+    .attr('text-anchor', 'middle')
+    .attr('fill', colors.blockText)
+    .attr('font-family', 'monospace')
+    .attr('font-size', '9px')
+    .text(d => d.number !== null ? `#${d.number}` : '')
+    .style('opacity', 0)
+    .transition('enter')
+    .delay(400)
+    .duration(400)
+    .style('opacity', 1);
+
+  // Add type label only to new blocks
+  blocksEnter.append('text')
+    .attr('class', 'type-text')
+    .attr('x', d => d.size / 2)
+    .attr('y', -5)
+    .attr('text-anchor', 'middle')
+    .attr('fill', colors.text)
+    .attr('font-family', 'sans-serif')
+    .attr('font-size', '8px')
+    .text(d => typeLabel(d.type))
+    .style('opacity', 0)
+    .transition('enter')
+    .delay(600)
+    .duration(400)
+    .style('opacity', 1);
+
+  // Check for size increase and apply shake if needed
+  blocksUpdate.each(function(d) {
+    const group = d3.select(this);
+    const rect = group.select('rect');
+    const prevSize = rect.empty() ? 0 : +rect.attr('width');
+    if (d.size > prevSize) {
+      group.transition('shake')
+        .duration(600)
+        .attrTween('transform', function() {
+          return function(t) {
+            const wiggle = Math.sin(t * Math.PI * 8) * 3 * (1 - t);
+            return `translate(${d.displayX + wiggle}, ${d.displayY})`;
+          };
+        })
+        .on('end', function() {
+          group.attr('transform', `translate(${d.displayX}, ${d.displayY})`);
+        });
+    }
+  });
+
+  // Labels change with the orphaned status, so they are refreshed on every render
+  blocksUpdate.attr('aria-label', describe);
+
+  // Fade orphaned blocks and give them a distinct border
+  blocksUpdate.style('opacity', d => (d.orphaned ? 0.35 : 1));
+  blocksUpdate.select('rect')
+    .attr('fill', d => d.fill || colors[d.type])
+    .attr('stroke', d => (d.orphaned ? colors.orphan : colors.stroke))
+    .attr('stroke-width', d => (d.orphaned ? 2 : 1))
+    .attr('stroke-dasharray', d => (d.orphaned ? '4,3' : null));
+
+  // Transition size changes
+  blocksUpdate.select('rect')
+    .transition('size')
+    .duration(600)
+    .attr('width', d => d.size)
+    .attr('height', d => d.size);
+
+  blocksUpdate.select('.hash-text')
+    .transition('size')
+    .duration(600)
+    .attr('x', d => d.size / 2)
+    .attr('y', d => d.size / 2 - 5);
+
+  blocksUpdate.select('.number-text')
+    .transition('size')
+    .duration(600)
+    .attr('x', d => d.size / 2)
+    .attr('y', d => d.size / 2 + 8);
+
+  blocksUpdate.select('.type-text')
+    .transition('size')
+    .duration(600)
+    .attr('x', d => d.size / 2);
+
+  blocksUpdate.selectAll('.tx-overlay')
+    .data(txOverlayData(scene))
+    .join(appendTxOverlay)
+    .call(drawTxOverlay, colors);
+
+  // Hover and click handlers are rebound on every render so they see the current callbacks
+  blocksUpdate
+    .on('mouseover', function(event, d) {
+      d3.select(this).select('rect')
+        .transition('hover')
+        .duration(200)
+        .attr('stroke-width', 3)
+        .attr('stroke', colors.selected);
+      onHover(d);
+    })
+    .on('mouseout', function(event, d) {
+      d3.select(this).select('rect')
+        .transition('hover')
+        .duration(200)
+        .attr('stroke-width', d.orphaned ? 2 : 1)
+        .attr('stroke', d.orphaned ? colors.orphan : colors.stroke);
+      onHover(null);
+    })
+    .on('click', function(event, d) {
+      onSelect(d);
+    });
+};
+
+// Final state of a scene as plain SVG elements with every style written inline,
+// for exports that have to render on their own
+export const drawStaticSvgScene = (group, scene, { selected, pinned }) => {
+  const { items, arrows, inclusions, coincident, etxLinks, sparklines, laneLabels, labelX, colors } = scene;
+
+  const drawLines = (lines, className, attrs) => {
+    const lineSelection = group.selectAll(`.${className}`)
+      .data(lines)
+      .enter()
+      .append('line')
+      .attr('class', className)
+      .attr('x1', d => d.x1)
+      .attr('y1', d => d.y1)
+      .attr('x2', d => d.x2)
+      .attr('y2', d => d.y2)
+      .attr('stroke-width', 2);
+    Object.entries(attrs).forEach(([name, value]) => lineSelection.attr(name, value));
+  };
+
+  drawLines(arrows, 'arrow', { stroke: colors.arrow, 'marker-end': 'url(#arrowhead)', opacity: d => (d.orphaned ? 0.3 : 0.8) });
+  drawLines(inclusions, 'inclusion', { stroke: colors.arrow, 'marker-end': 'url(#arrowhead)', opacity: 0.8 });
+  drawLines(coincident, 'coincident', { stroke: colors.coincident, 'stroke-dasharray': '5,5' });
+
+  group.selectAll('.etx-link')
+    .data(etxLinks)
+    .enter()
+    .append('path')
+    .attr('class', 'etx-link')
+    .attr('d', etxPath)
+    .attr('fill', 'none')
+    .attr('stroke', colors.etx)
+    .attr('stroke-width', 1.5)
+    .attr('marker-end', 'url(#arrowhead)')
+    .attr('opacity', d => (d.orphaned ? 0.3 : 0.8));
+
+  group.selectAll('.sparkline')
+    .data(sparklines)
+    .enter()
+    .append('path')
+    .attr('class', 'sparkline')
+    .attr('d', sparklinePath)
+    .attr('fill', 'none')
+    .attr('stroke', d => d.color)
+    .attr('stroke-width', 1.5)
+    .attr('opacity', 0.8);
+
+  group.selectAll('.lane-label')
+    .data(laneLabels)
+    .enter()
+    .append('text')
+    .attr('class', 'lane-label')
+    .attr('x', labelX)
+    .attr('y', d => d.y + 4)
+    .attr('fill', colors.text)
+    .attr('font-family', 'sans-serif')
+    .attr('font-size', '12px')
+    .attr('text-anchor', 'end')
+    .text(d => d.label);
+
+  const blocks = group.selectAll('.block')
+    .data(items)
+    .enter()
+    .append('g')
+    .attr('class', 'block')
+    .attr('transform', d => `translate(${d.displayX}, ${d.displayY})`)
+    .attr('opacity', d => (d.orphaned ? 0.35 : 1));
+
+  const strokeOf = (d) => {
+    if (d.fullHash === selected) return [colors.selected, 3];
+    if (pinned.has(d.fullHash)) return [colors.accent, 2];
+    if (d.orphaned) return [colors.orphan, 2];
+    return [colors.stroke, 1];
+  };
+
+  blocks.append('rect')
+    .attr('width', d => d.size)
+    .attr('height', d => d.size)
+    .attr('fill', d => d.fill || colors[d.type])
+    .attr('stroke', d => strokeOf(d)[0])
+    .attr('stroke-width', d => strokeOf(d)[1])
+    .attr('stroke-dasharray', d => (d.orphaned ? '4,3' : null));
+
+  const addText = (className, y, font, size, fill, text) => blocks.append('text')
+    .attr('class', className)
+    .attr('x', d => d.size / 2)
+    .attr('y', y)
+    .attr('text-anchor', 'middle')
+    .attr('fill', fill)
+    .attr('font-family', font)
+    .attr('font-size', size)
+    .text(text);
+
+  addText('hash-text', d => d.size / 2 - 5, 'monospace', '10px', colors.blockText, d => d.hash);
+  addText('number-text', d => d.size / 2 + 8, 'monospace', '9px', colors.blockText, d => (d.number !== null ? `#${d.number}` : ''));
+  addText('type-text', -5, 'sans-serif', '8px', colors.text, d => typeLabel(d.type));
+
+  drawTxOverlay(appendTxOverlay(blocks.selectAll('.tx-overlay').data(txOverlayData(scene)).enter()), colors);
+};
@@ -0,0 +1,158 @@
+// Color themes for the graph and the UI around it
+//
+// A theme's colors are drawn by the renderers, the minimap and the exports; its ui
+// colors become --cv-* custom properties on the visualizer root for ChainVisualizer.css.
+// The colorblind palette uses the Okabe-Ito colors, which stay apart under the common
+// color vision deficiencies.
+
+import { loadSetting, saveSetting } from './settings';
+
+const STORAGE_KEY = 'chainVisualizer.theme';
+
+const DarkUi = {
+  background: '#1a1a1a',
+  surface: '#2a2a2a',
+  raised: '#333',
+  sunken: '#222',
+  panel: 'rgba(42, 42, 42, 0.95)',
+  overlay: 'rgba(26, 26, 26, 0.9)',
+  shadow: 'rgba(0, 0, 0, 0.5)',
+  border: '#444',
+  borderStrong: '#666',
+  text: '#fff',
+  textMuted: '#ccc',
+  textFaint: '#888',
+  accent: '#61dafb',
+  onAccent: '#1a1a1a',
+  ok: '#4CAF50',
+  warn: '#FFC107',
+  caution: '#FF9800',
+  error: '#F44336',
+  selected: '#FFD700',
+  orphan: '#E040FB'
+};
+
+const LightUi = {
+  background: '#f5f5f5',
+  surface: '#ffffff',
+  raised: '#e0e0e0',
+  sunken: '#eeeeee',
+  panel: 'rgba(255, 255, 255, 0.97)',
+  overlay: 'rgba(245, 245, 245, 0.92)',
+  shadow: 'rgba(0, 0, 0, 0.2)',
+  border: '#ccc',
+  borderStrong: '#999',
+  text: '#1a1a1a',
+  textMuted: '#444',
+  textFaint: '#757575',
+  accent: '#0277BD',
+  onAccent: '#fff',
+  ok: '#2E7D32',
+  warn: '#A67C00',
+  caution: '#E65100',
+  error: '#C62828',
+  selected: '#C79100',
+  orphan: '#AA00FF'
+};
+
+export const Themes = {
+  dark: {
+    label: 'Dark',
+    colors: {
+      block: '#4CAF50',      // Green for zone blocks
+      primeBlock: '#F44336', // Red for prime blocks
+      regionBlock: '#FFEB3B', // Yellow for region blocks
+      uncle: '#FF9800',      // Orange for uncles
+      workshare: '#2196F3',  // Blue for workshares
+      arrow: '#888',         // Gray for arrows
+      coincident: '#666',    // Gray for coincident lines
+      etx: '#E91E63',        // Pink for cross-zone ETX links
+      gas: '#00BCD4',        // Cyan for gas fill bars
+      text: '#fff',          // Labels on the background
+      blockText: '#fff',     // Hash and number on blocks
+      stroke: '#fff',        // Block outlines
+      selected: DarkUi.selected,
+      accent: DarkUi.accent,
+      orphan: DarkUi.orphan,
+      ok: DarkUi.ok,
+      error: DarkUi.error,
+      tooltip: 'rgba(0, 0, 0, 0.8)',
+      background: DarkUi.background
+    },
+    ui: DarkUi
+  },
+  light: {
+    label: 'Light',
+    colors: {
+      // Mid-tone fills that keep dark block text readable
+      block: '#66BB6A',
+      primeBlock: '#EF5350',
+      regionBlock: '#FDD835',
+      uncle: '#FFA726',
+      workshare: '#42A5F5',
+      arrow: '#777',
+      coincident: '#9E9E9E',
+      etx: '#C2185B',
+      gas: '#00838F',
+      text: '#1a1a1a',
+      blockText: '#1a1a1a',
+      stroke: '#424242',
+      selected: LightUi.selected,
+      accent: LightUi.accent,
+      orphan: LightUi.orphan,
+      ok: LightUi.ok,
+      error: LightUi.error,
+      tooltip: 'rgba(255, 255, 255, 0.95)',
+      background: LightUi.background
+    },
+    ui: LightUi
+  },
+  colorblind: {
+    label: 'Colorblind safe',
+    colors: {
+      block: '#0072B2',      // Blue
+      primeBlock: '#D55E00', // Vermillion
+      regionBlock: '#F0E442', // Yellow
+      uncle: '#E69F00',      // Orange
+      workshare: '#56B4E9',  // Sky blue
+      arrow: '#888',
+      coincident: '#666',
+      etx: '#CC79A7',        // Reddish purple
+      gas: '#009E73',        // Bluish green
+      text: '#fff',
+      blockText: '#000',
+      stroke: '#fff',
+      selected: '#F0E442',
+      accent: '#56B4E9',
+      orphan: '#CC79A7',
+      ok: '#009E73',
+      error: '#D55E00',
+      tooltip: 'rgba(0, 0, 0, 0.8)',
+      background: DarkUi.background
+    },
+    ui: {
+      ...DarkUi,
+      accent: '#56B4E9',
+      ok: '#009E73',
+      warn: '#F0E442',
+      caution: '#E69F00',
+      error: '#D55E00',
+      selected: '#F0E442',
+      orphan: '#CC79A7'
+    }
+  }
+};
+
+export const DefaultTheme = 'dark';
+
+export const loadTheme = () => {
+  const stored = loadSetting(STORAGE_KEY, DefaultTheme);
+  return Themes[stored] ? stored : DefaultTheme;
+};
+
+export const saveTheme = (theme) => saveSetting(STORAGE_KEY, theme);
+
+// Custom properties for the stylesheet, as a React style object ({ '--cv-text-muted': ... })
+export const themeStyle = (theme) => Object.fromEntries(
+  Object.entries(Themes[theme].ui).map(([name, value]) => [`--cv-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`, value])
+);
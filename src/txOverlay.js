@@ -0,0 +1,83 @@
+// Transaction overlay: tx count and gas fill per zone block, and curved links from the
+// block that emits a cross-zone ETX to the block in the destination zone that receives it
+//
+// Only a summary of each block's transactions is kept on its items; links are drawn once
+// both ends are loaded, matching an outbound ETX to the inbound transaction with its hash.
+
+import {
+  blockTransactions,
+  blockOutboundEtxs,
+  blockGasUsed,
+  blockGasLimit,
+  isExternalTransaction,
+  addressLocation
+} from './blockFields';
+
+// Transaction fields kept on a block's items; transactions may be full objects or hashes
+export const summarizeTransactions = (block) => {
+  const transactions = blockTransactions(block);
+  const gasUsed = blockGasUsed(block);
+  const gasLimit = blockGasLimit(block);
+  return {
+    txCount: transactions.length,
+    gasFill: gasUsed !== null && gasLimit ? Math.min(1, gasUsed / gasLimit) : null,
+    outboundEtxs: blockOutboundEtxs(block)
+      .filter(etx => etx && etx.hash)
+      .map(etx => ({ hash: etx.hash, from: etx.from || null, to: etx.to || null })),
+    inboundEtxs: transactions.filter(isExternalTransaction).map(tx => tx.hash)
+  };
+};
+
+// Whether an ETX involves the address typed into the filter (a prefix is enough)
+const matchesAddress = (etx, filter) => {
+  if (!filter) return true;
+  const query = filter.trim().toLowerCase();
+  return [etx.from, etx.to].some(address => address && address.toLowerCase().startsWith(query));
+};
+
+// Curved links between positioned zone blocks. zoneOfLocation maps an address's
+// [region, zone] to a loaded zone id, or null when that zone isn't shown.
+export const buildEtxLinks = ({ items, zoneOfLocation, address }) => {
+  const zoneBlocks = items.filter(item => item.type === 'block');
+
+  const receivers = new Map(); // ETX hash -> receiving block, canonical ones first
+  zoneBlocks.forEach(block => {
+    (block.inboundEtxs || []).forEach(hash => {
+      const current = receivers.get(hash);
+      if (!current || (current.orphaned && !block.orphaned)) receivers.set(hash, block);
+    });
+  });
+
+  const links = [];
+  zoneBlocks.forEach(source => {
+    (source.outboundEtxs || []).forEach(etx => {
+      if (!matchesAddress(etx, address)) return;
+      const location = addressLocation(etx.to);
+      const destination = location ? zoneOfLocation(location) : null;
+      const target = receivers.get(etx.hash);
+      if (!target || target.zone === source.zone) return;
+      if (destination !== null && target.zone !== destination) return;
+
+      const x1 = source.displayX + source.size / 2;
+      const y1 = source.displayY + (target.displayY > source.displayY ? source.size : 0);
+      const x2 = target.displayX + target.size / 2;
+      const y2 = target.displayY + (target.displayY > source.displayY ? 0 : target.size);
+      // Bow the curve sideways so it doesn't run through the lanes in between
+      const bow = Math.max(40, Math.abs(y2 - y1) * 0.35);
+      links.push({
+        id: `etx-${etx.hash}-${source.id}`,
+        hash: etx.hash,
+        x1,
+        y1,
+        x2,
+        y2,
+        cx: (x1 + x2) / 2 + bow,
+        cy: (y1 + y2) / 2,
+        orphaned: source.orphaned || target.orphaned
+      });
+    });
+  });
+  return links;
+};
+
+export const etxPath = (link) => `M${link.x1},${link.y1} Q${link.cx},${link.cy} ${link.x2},${link.y2}`;
@@ -0,0 +1,56 @@
+import { summarizeTransactions, buildEtxLinks } from './txOverlay';
+
+// Address in [region, zone], the way the first byte encodes it
+const addressIn = (region, zone, fill = 'a') => `0x${((region << 4) | zone).toString(16).padStart(2, '0')}${fill.repeat(38)}`;
+
+describe('summarizeTransactions', () => {
+  it('keeps counts, gas fill and both sides of ETXs', () => {
+    const block = {
+      woHeader: {},
+      header: { gasUsed: '0x3', gasLimit: '0x4' },
+      transactions: [
+        { hash: '0xt1', type: '0x0' },
+        { hash: '0xin', type: '0x1' },
+        '0xhashonly'
+      ],
+      outboundEtxs: [{ hash: '0xout', from: addressIn(0, 0), to: addressIn(0, 1) }, { from: addressIn(0, 0) }]
+    };
+    expect(summarizeTransactions(block)).toEqual({
+      txCount: 3,
+      gasFill: 0.75,
+      outboundEtxs: [{ hash: '0xout', from: addressIn(0, 0), to: addressIn(0, 1) }],
+      inboundEtxs: ['0xin']
+    });
+  });
+
+  it('leaves the gas fill unknown without a gas limit', () => {
+    expect(summarizeTransactions({ header: { gasUsed: '0x3' } })).toMatchObject({ txCount: 0, gasFill: null });
+  });
+});
+
+describe('buildEtxLinks', () => {
+  const positioned = (id, zone, y, extra) => ({ id, type: 'block', zone, displayX: 100, displayY: y, size: 50, orphaned: false, ...extra });
+  const etx = { hash: '0xetx', from: addressIn(0, 0, 'b'), to: addressIn(0, 1, 'c') };
+  const zoneOfLocation = ([region, zone]) => String(region * 3 + zone);
+
+  it('links the sending block to the receiving one, preferring a canonical receiver', () => {
+    const items = [
+      positioned('s', '0', 100, { outboundEtxs: [etx] }),
+      positioned('stale', '1', 300, { inboundEtxs: ['0xetx'], orphaned: true }),
+      positioned('t', '1', 400, { inboundEtxs: ['0xetx'] })
+    ];
+    const [link, ...rest] = buildEtxLinks({ items, zoneOfLocation, address: '' });
+
+    expect(rest).toEqual([]);
+    expect(link).toMatchObject({ id: 'etx-0xetx-s', x1: 125, y1: 150, x2: 125, y2: 400, orphaned: false });
+  });
+
+  it('filters by an address prefix and waits for the receiver to load', () => {
+    const sender = positioned('s', '0', 100, { outboundEtxs: [etx] });
+    const receiver = positioned('t', '1', 400, { inboundEtxs: ['0xetx'] });
+
+    expect(buildEtxLinks({ items: [sender], zoneOfLocation, address: '' })).toEqual([]);
+    expect(buildEtxLinks({ items: [sender, receiver], zoneOfLocation, address: etx.to.slice(0, 8).toUpperCase() })).toHaveLength(1);
+    expect(buildEtxLinks({ items: [sender, receiver], zoneOfLocation, address: '0xff' })).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+// Which items the graph shows: item types toggled from the legend, plus block filters
+//
+// Filters live in the URL (?hide=uncle,workshare&minWorkshares=3&nonCanonical=1) so a
+// filtered view can be bookmarked or shared. Block filters apply to prime, region,
+// zone and uncle blocks; workshares follow the zone block they were mined on.
+
+import { ChainTypes, itemKey } from './itemStore';
+
+export const FilterableTypes = {
+  primeBlock: 'Prime blocks',
+  regionBlock: 'Region blocks',
+  block: 'Zone blocks',
+  uncle: 'Uncles',
+  workshare: 'Workshares'
+};
+
+export const DefaultFilters = {
+  hidden: [],
+  minWorkshares: 0,
+  nonCanonicalOnly: false
+};
+
+export const filtersActive = (filters) =>
+  filters.hidden.length > 0 || filters.minWorkshares > 0 || filters.nonCanonicalOnly;
+
+export const readFilters = () => {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    const minWorkshares = parseInt(params.get('minWorkshares'), 10);
+    return {
+      hidden: (params.get('hide') || '').split(',').filter(type => FilterableTypes[type]),
+      minWorkshares: minWorkshares > 0 ? minWorkshares : 0,
+      nonCanonicalOnly: params.get('nonCanonical') === '1'
+    };
+  } catch (error) {
+    console.error('Failed to read filters from URL:', error);
+    return DefaultFilters;
+  }
+};
+
+// Replace the filter parameters in the URL, leaving the others (ws, http) alone
+export const writeFilters = (filters) => {
+  try {
+    const url = new URL(window.location.href);
+    const set = (name, value) => (value ? url.searchParams.set(name, value) : url.searchParams.delete(name));
+    set('hide', filters.hidden.join(','));
+    set('minWorkshares', filters.minWorkshares > 0 ? String(filters.minWorkshares) : '');
+    set('nonCanonical', filters.nonCanonicalOnly ? '1' : '');
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url.href);
+  } catch (error) {
+    console.error('Failed to write filters to URL:', error);
+  }
+};
+
+// Whether an item belongs to a legend entry: an item type, or 'orphaned'
+export const matchesLegendEntry = (item, entry) => (entry === 'orphaned' ? Boolean(item.orphaned) : item.type === entry);
+
+// A select function for computeLayout that keeps the items passing the filters
+export const selectVisible = (filters) => (items, { orphaned, workshareCount }) => {
+  const hidden = new Set(filters.hidden);
+  const blockShown = (item) => !hidden.has(item.type) &&
+    workshareCount(item.fullHash) >= filters.minWorkshares &&
+    (!filters.nonCanonicalOnly || item.type === 'uncle' || orphaned.has(item.id));
+
+  const shownZoneBlocks = new Set(items.filter(item => item.type === 'block' && blockShown(item)).map(item => item.id));
+  const blockFilter = filters.minWorkshares > 0 || filters.nonCanonicalOnly;
+
+  return items.filter(item => {
+    if (ChainTypes.includes(item.type) || item.type === 'uncle') return blockShown(item);
+    if (hidden.has(item.type)) return false;
+    return !blockFilter || shownZoneBlocks.has(itemKey('block', item.fullParentHash, item.zone));
+  });
+};
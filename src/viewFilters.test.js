@@ -0,0 +1,47 @@
+import { readFilters, writeFilters, filtersActive, matchesLegendEntry, DefaultFilters } from './viewFilters';
+
+const setSearch = (search) => window.history.replaceState(null, '', `/${search}`);
+
+afterEach(() => setSearch(''));
+
+describe('readFilters', () => {
+  it('parses hidden types, the workshare minimum and the non-canonical flag', () => {
+    setSearch('?hide=uncle,workshare&minWorkshares=3&nonCanonical=1');
+    expect(readFilters()).toEqual({ hidden: ['uncle', 'workshare'], minWorkshares: 3, nonCanonicalOnly: true });
+  });
+
+  it('ignores unknown types and values that do not parse', () => {
+    setSearch('?hide=uncle,bogus,&minWorkshares=-2&nonCanonical=yes');
+    expect(readFilters()).toEqual({ hidden: ['uncle'], minWorkshares: 0, nonCanonicalOnly: false });
+    setSearch('?minWorkshares=lots');
+    expect(readFilters()).toEqual(DefaultFilters);
+  });
+});
+
+describe('writeFilters', () => {
+  it('round-trips through the URL and leaves other parameters alone', () => {
+    setSearch('?ws=ws%3A%2F%2Fnode&hide=block');
+    const filters = { hidden: ['regionBlock'], minWorkshares: 2, nonCanonicalOnly: false };
+    writeFilters(filters);
+
+    const params = new URLSearchParams(window.location.search);
+    expect(params.get('ws')).toBe('ws://node');
+    expect(params.has('nonCanonical')).toBe(false);
+    expect(readFilters()).toEqual(filters);
+  });
+
+  it('drops the filter parameters once the filters are cleared', () => {
+    setSearch('?ws=ws%3A%2F%2Fnode&hide=uncle&minWorkshares=1&nonCanonical=1');
+    writeFilters(DefaultFilters);
+    expect(window.location.search).toBe('?ws=ws%3A%2F%2Fnode');
+    expect(filtersActive(readFilters())).toBe(false);
+  });
+});
+
+describe('matchesLegendEntry', () => {
+  it('matches item types and the orphaned entry', () => {
+    expect(matchesLegendEntry({ type: 'uncle' }, 'uncle')).toBe(true);
+    expect(matchesLegendEntry({ type: 'block', orphaned: true }, 'orphaned')).toBe(true);
+    expect(matchesLegendEntry({ type: 'block', orphaned: false }, 'orphaned')).toBe(false);
+  });
+});
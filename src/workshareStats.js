@@ -0,0 +1,73 @@
+// Workshare statistics for one zone: workshares included per canonical block with
+// rolling averages, inclusion delay, and how many of the workshares seen on the
+// newWorkshares subscription made it into a block
+
+export const RollingWindows = [10, 25, 50, 100];
+export const DefaultRollingWindow = 25;
+
+// A live workshare still missing from a block counts as pending until the zone is this many blocks past it
+export const InclusionDepth = 3;
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length);
+
+// Trailing average of a per-block value over the last windowSize blocks, skipping gaps
+const rolling = (values, windowSize) => values.map((_, i) => mean(values.slice(Math.max(0, i - windowSize + 1), i + 1).filter(v => v !== null)));
+
+export const computeWorkshareStats = ({ items, zone, headHash, windowSize }) => {
+  const blocks = new Map();
+  const workshares = [];
+  items.forEach(item => {
+    if (item.zone !== zone) return;
+    if (item.type === 'block') blocks.set(item.fullHash, item);
+    else if (item.type === 'workshare') workshares.push(item);
+  });
+
+  // Canonical chain from the head back to the oldest loaded ancestor
+  const chain = [];
+  for (let block = blocks.get(headHash); block; block = blocks.get(block.fullParentHash)) {
+    chain.push(block);
+    if (chain.length > blocks.size) break; // guard against a malformed cycle
+  }
+  chain.reverse();
+
+  const includedBy = new Map();
+  workshares.forEach(ws => {
+    if (!ws.includedIn) return;
+    if (!includedBy.has(ws.includedIn)) includedBy.set(ws.includedIn, []);
+    includedBy.get(ws.includedIn).push(ws);
+  });
+
+  const perBlock = chain.map(block => {
+    const included = includedBy.get(block.fullHash) || [];
+    const delays = included.filter(ws => ws.number !== null).map(ws => block.number - ws.number);
+    return { number: block.number, hash: block.fullHash, included: included.length, delay: mean(delays), delays };
+  });
+
+  const rollingIncluded = rolling(perBlock.map(b => b.included), windowSize);
+  const rollingDelay = rolling(perBlock.map(b => b.delay), windowSize);
+  const series = perBlock.map((b, i) => ({ ...b, rollingIncluded: rollingIncluded[i], rollingDelay: rollingDelay[i] }));
+
+  // Workshares first seen live, split by whether a block has included them yet
+  const tip = chain.length > 0 ? chain[chain.length - 1].number : null;
+  const live = { seen: 0, included: 0, pending: 0, missed: 0 };
+  workshares.filter(ws => ws.seenLive).forEach(ws => {
+    live.seen += 1;
+    if (ws.includedIn) live.included += 1;
+    else if (tip === null || ws.number === null || tip - ws.number < InclusionDepth) live.pending += 1;
+    else live.missed += 1;
+  });
+
+  const recent = series.slice(-windowSize);
+  const delays = recent.flatMap(b => b.delays);
+  return {
+    series,
+    live,
+    summary: {
+      blocks: recent.length,
+      included: recent.reduce((sum, b) => sum + b.included, 0),
+      perBlock: mean(recent.map(b => b.included)),
+      delay: mean(delays),
+      maxDelay: delays.length > 0 ? Math.max(...delays) : null
+    }
+  };
+};
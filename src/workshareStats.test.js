@@ -0,0 +1,54 @@
+import { computeWorkshareStats, InclusionDepth } from './workshareStats';
+
+const blockItem = (number, parent = number - 1, zone = '0') => ({
+  type: 'block', zone, number, fullHash: `b${number}`, fullParentHash: `b${parent}`
+});
+
+const workshareItem = (hash, number, { includedIn = null, seenLive = false, zone = '0' } = {}) => ({
+  type: 'workshare', zone, number, fullHash: hash, includedIn, seenLive
+});
+
+describe('computeWorkshareStats', () => {
+  // b1 <- b2 <- b3 <- b4 <- b5, with a competing b3x off b2
+  const chain = [1, 2, 3, 4, 5].map(n => blockItem(n));
+  const fork = { ...blockItem(3, 2), fullHash: 'b3x' };
+
+  it('counts workshares per canonical block with their inclusion delay', () => {
+    const items = [
+      ...chain,
+      fork,
+      workshareItem('w1', 2, { includedIn: 'b3' }),
+      workshareItem('w2', 1, { includedIn: 'b3' }),
+      workshareItem('w3', 3, { includedIn: 'b3x' }),
+      workshareItem('w4', 4, { includedIn: 'b5' }),
+      workshareItem('w5', 4, { includedIn: 'b5', zone: '1' })
+    ];
+    const { series, summary } = computeWorkshareStats({ items, zone: '0', headHash: 'b5', windowSize: 25 });
+
+    expect(series.map(b => b.hash)).toEqual(['b1', 'b2', 'b3', 'b4', 'b5']);
+    expect(series.map(b => b.included)).toEqual([0, 0, 2, 0, 1]);
+    expect(series[2].delay).toBe(1.5);
+    expect(summary).toMatchObject({ blocks: 5, included: 3, perBlock: 0.6, delay: (1 + 2 + 1) / 3, maxDelay: 2 });
+  });
+
+  it('averages over the trailing window only', () => {
+    const items = [...chain, workshareItem('w1', 1, { includedIn: 'b2' }), workshareItem('w2', 4, { includedIn: 'b5' })];
+    const { series, summary } = computeWorkshareStats({ items, zone: '0', headHash: 'b5', windowSize: 2 });
+
+    expect(series.map(b => b.rollingIncluded)).toEqual([0, 0.5, 0.5, 0, 0.5]);
+    expect(summary).toMatchObject({ blocks: 2, included: 1 });
+  });
+
+  it('splits live workshares into included, pending and missed', () => {
+    const tip = 5;
+    const items = [
+      ...chain,
+      workshareItem('w1', 2, { includedIn: 'b3', seenLive: true }),
+      workshareItem('w2', tip - InclusionDepth + 1, { seenLive: true }),
+      workshareItem('w3', tip - InclusionDepth, { seenLive: true }),
+      workshareItem('w4', 2, { includedIn: 'b3' })
+    ];
+    const { live } = computeWorkshareStats({ items, zone: '0', headHash: 'b5', windowSize: 25 });
+    expect(live).toEqual({ seen: 3, included: 1, pending: 1, missed: 1 });
+  });
+});